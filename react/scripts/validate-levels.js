@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Validate the built-in levels, a run of generated levels and the JSON
+ * level pack in public/levels
+ *
+ * Exits with a non-zero status when any level has problems, so a broken
+ * level fails the build instead of shipping.
+ *
+ * Usage: node scripts/validate-levels.js
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { LevelManager } from '../src/engine/Level.js';
+import { parseLevel } from '../src/engine/LevelFormat.js';
+import { validateLevel } from '../src/engine/LevelValidator.js';
+
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const packFile = path.join(root, 'public', 'levels', 'index.json');
+
+const results = [];
+
+const levelManager = new LevelManager();
+for (const level of levelManager.levels) {
+  results.push({ source: `built-in "${level.name}"`, errors: validateLevel(level).errors });
+}
+
+// Spot-check the generator with the default seed
+const firstGenerated = levelManager.getTotalLevels() + 1;
+for (let levelNumber = firstGenerated; levelNumber < firstGenerated + 10; levelNumber++) {
+  const level = levelManager.getGeneratedLevel(levelNumber);
+  results.push({ source: `generated "${level.name}" (seed ${level.seed})`, errors: validateLevel(level).errors });
+}
+
+const pack = JSON.parse(await readFile(packFile, 'utf8'));
+for (const file of pack.levels || []) {
+  const source = path.join('public', 'levels', file);
+  try {
+    const data = JSON.parse(await readFile(path.join(root, source), 'utf8'));
+    results.push({ source, errors: validateLevel(parseLevel(data, source)).errors });
+  } catch (error) {
+    results.push({ source, errors: error.errors || [error.message] });
+  }
+}
+
+let failed = 0;
+for (const { source, errors } of results) {
+  if (errors.length === 0) {
+    console.log(`✅ ${source}`);
+  } else {
+    failed++;
+    console.log(`❌ ${source}`);
+    errors.forEach(error => console.log(`   - ${error}`));
+  }
+}
+
+console.log(`\n${results.length - failed}/${results.length} levels valid`);
+process.exitCode = failed > 0 ? 1 : 0;
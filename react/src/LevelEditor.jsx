@@ -0,0 +1,345 @@
+import React, { useRef, useEffect, useState } from 'react';
+import './LevelEditor.css';
+import { GAME_CONSTANTS } from './engine/Constants.js';
+import { TILE, TILE_TYPE, getTileType, getTileTexture } from './engine/Tiles.js';
+import { parseLevel, serializeLevel } from './engine/LevelFormat.js';
+import { validateLevel } from './engine/LevelValidator.js';
+import { PICKUP_TYPES } from './engine/Pickups.js';
+import { ENEMY_TYPES, DEFAULT_ENEMY_TYPE } from './engine/EnemyTypes.js';
+
+const CELL_SIZE = 20;
+const MIN_SIZE = 6;
+const MAX_SIZE = 64;
+
+const TOOLS = [
+  { id: 'tile', label: 'Paint' },
+  { id: 'player', label: 'Start' },
+  { id: 'enemy', label: 'Enemy' },
+  { id: 'pickup', label: 'Pickup' },
+  { id: 'exit', label: 'Exit' }
+];
+
+const TILE_PALETTE = [
+  { tile: TILE.EMPTY, label: 'Floor' },
+  ...[1, 2, 3, 4, 5, 6, 7].map(id => ({ tile: id, label: GAME_CONSTANTS.WALL_TEXTURES[id].style })),
+  { tile: TILE.DOOR, label: 'Door' },
+  { tile: TILE.DOOR_RED, label: 'Red door' },
+  { tile: TILE.DOOR_BLUE, label: 'Blue door' },
+  { tile: TILE.DOOR_YELLOW, label: 'Yellow door' },
+  { tile: TILE.PUSHWALL + 1, label: 'Secret' },
+  { tile: TILE.GRATE, label: 'Grate' },
+  { tile: TILE.FENCE, label: 'Fence' },
+  { tile: TILE.GLASS, label: 'Glass' }
+];
+
+const PICKUP_IDS = Object.keys(PICKUP_TYPES);
+const ENEMY_IDS = Object.keys(ENEMY_TYPES);
+
+// Empty room with a wall border
+const createBlankLevel = (width = 16, height = 12) => ({
+  name: 'Untitled',
+  floorTexture: 6,
+  ceilingTexture: 7,
+  map: Array.from({ length: height }, (_, y) =>
+    Array.from({ length: width }, (_, x) => (x === 0 || y === 0 || x === width - 1 || y === height - 1 ? 1 : 0))),
+  playerStart: { x: 1.5, y: 1.5, angle: 0 },
+  enemySpawns: [],
+  pickups: [],
+  triggers: []
+});
+
+const tileColor = (tile) => {
+  if (tile === TILE.EMPTY) return '#111';
+  const texture = GAME_CONSTANTS.WALL_TEXTURES[getTileTexture(tile)];
+  const [r, g, b] = texture ? texture.color : [128, 128, 128];
+  return `rgb(${r}, ${g}, ${b})`;
+};
+
+const inCell = (point, x, y) => Math.floor(point.x) === x && Math.floor(point.y) === y;
+
+const LevelEditor = ({ initialLevel, onPlay, onClose }) => {
+  const canvasRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const isPaintingRef = useRef(false);
+  const [level, setLevel] = useState(() => initialLevel || createBlankLevel());
+  const [tool, setTool] = useState('tile');
+  const [paintTile, setPaintTile] = useState(1);
+  const [pickupType, setPickupType] = useState(PICKUP_IDS[0]);
+  const [enemyType, setEnemyType] = useState(DEFAULT_ENEMY_TYPE);
+  const [size, setSize] = useState({ width: level.map[0].length, height: level.map.length });
+  const [errors, setErrors] = useState([]);
+
+  const width = level.map[0].length;
+  const height = level.map.length;
+
+  // Draw the grid and everything placed on it
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const half = CELL_SIZE / 2;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.font = `${CELL_SIZE - 8}px monospace`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    level.map.forEach((row, y) => {
+      row.forEach((tile, x) => {
+        ctx.fillStyle = tileColor(tile);
+        ctx.fillRect(x * CELL_SIZE, y * CELL_SIZE, CELL_SIZE - 1, CELL_SIZE - 1);
+
+        const type = getTileType(tile);
+        if (type === TILE_TYPE.DOOR || type === TILE_TYPE.PUSHWALL) {
+          ctx.fillStyle = '#fff';
+          ctx.fillText(type === TILE_TYPE.DOOR ? 'D' : '?', x * CELL_SIZE + half, y * CELL_SIZE + half);
+        }
+      });
+    });
+
+    for (const trigger of level.triggers) {
+      ctx.fillStyle = trigger.action === 'exit' ? '#ff0' : '#0ff';
+      ctx.fillText(trigger.action === 'exit' ? 'X' : 'T', Math.floor(trigger.x) * CELL_SIZE + half, Math.floor(trigger.y) * CELL_SIZE + half);
+    }
+
+    for (const pickup of level.pickups) {
+      ctx.fillStyle = PICKUP_TYPES[pickup.type]?.color || '#0c0';
+      ctx.fillRect(pickup.x * CELL_SIZE - 4, pickup.y * CELL_SIZE - 4, 8, 8);
+    }
+
+    for (const spawn of level.enemySpawns) {
+      const [r, g, b] = (ENEMY_TYPES[spawn.type || DEFAULT_ENEMY_TYPE] || ENEMY_TYPES[DEFAULT_ENEMY_TYPE]).sprite.color;
+      ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+      ctx.beginPath();
+      ctx.arc(spawn.x * CELL_SIZE, spawn.y * CELL_SIZE, CELL_SIZE / 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Player start with a facing line
+    const start = level.playerStart;
+    const px = start.x * CELL_SIZE;
+    const py = start.y * CELL_SIZE;
+    ctx.fillStyle = '#FE5F00';
+    ctx.strokeStyle = '#FE5F00';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(px, py, CELL_SIZE / 3, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.moveTo(px, py);
+    ctx.lineTo(px + Math.cos(start.angle) * CELL_SIZE * 0.8, py + Math.sin(start.angle) * CELL_SIZE * 0.8);
+    ctx.stroke();
+  }, [level]);
+
+  const getCell = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = Math.floor(((event.clientX - rect.left) / rect.width) * width);
+    const y = Math.floor(((event.clientY - rect.top) / rect.height) * height);
+    return x >= 0 && x < width && y >= 0 && y < height ? { x, y } : null;
+  };
+
+  const applyTool = (x, y, isDrag) => {
+    setErrors([]);
+    setLevel(prev => {
+      switch (tool) {
+        case 'tile': {
+          if (prev.map[y][x] === paintTile) return prev;
+          const map = prev.map.map(row => row.slice());
+          map[y][x] = paintTile;
+          return { ...prev, map };
+        }
+        case 'player': {
+          // Clicking the current start turns it a quarter turn
+          const start = prev.playerStart;
+          const angle = inCell(start, x, y) ? start.angle + Math.PI / 2 : start.angle;
+          return { ...prev, playerStart: { x: x + 0.5, y: y + 0.5, angle: angle % (Math.PI * 2) } };
+        }
+        case 'enemy': {
+          if (isDrag) return prev;
+          const existing = prev.enemySpawns.filter(spawn => !inCell(spawn, x, y));
+          if (existing.length < prev.enemySpawns.length) return { ...prev, enemySpawns: existing };
+          const spawn = enemyType === DEFAULT_ENEMY_TYPE ? { x: x + 0.5, y: y + 0.5 } : { x: x + 0.5, y: y + 0.5, type: enemyType };
+          return { ...prev, enemySpawns: [...existing, spawn] };
+        }
+        case 'pickup': {
+          if (isDrag) return prev;
+          const existing = prev.pickups.filter(pickup => !inCell(pickup, x, y));
+          if (existing.length < prev.pickups.length) return { ...prev, pickups: existing };
+          return { ...prev, pickups: [...existing, { x: x + 0.5, y: y + 0.5, type: pickupType }] };
+        }
+        case 'exit': {
+          // One exit per level
+          const triggers = prev.triggers.filter(trigger => trigger.action !== 'exit');
+          return { ...prev, triggers: [...triggers, { x, y, action: 'exit' }] };
+        }
+        default:
+          return prev;
+      }
+    });
+  };
+
+  const handlePointerDown = (event) => {
+    const cell = getCell(event);
+    if (!cell) return;
+    isPaintingRef.current = tool === 'tile';
+    applyTool(cell.x, cell.y, false);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!isPaintingRef.current) return;
+    const cell = getCell(event);
+    if (cell) applyTool(cell.x, cell.y, true);
+  };
+
+  const stopPainting = () => {
+    isPaintingRef.current = false;
+  };
+
+  const resizeLevel = () => {
+    const newWidth = Math.max(MIN_SIZE, Math.min(MAX_SIZE, Math.floor(size.width) || width));
+    const newHeight = Math.max(MIN_SIZE, Math.min(MAX_SIZE, Math.floor(size.height) || height));
+    const fits = (point) => point.x < newWidth - 1 && point.y < newHeight - 1;
+
+    setLevel(prev => {
+      const blank = createBlankLevel(newWidth, newHeight);
+      const map = blank.map.map((row, y) => row.map((tile, x) => {
+        const onBorder = x === 0 || y === 0 || x === newWidth - 1 || y === newHeight - 1;
+        return !onBorder && y < prev.map.length && x < prev.map[0].length ? prev.map[y][x] : tile;
+      }));
+      // Per-cell layers follow the new size, padded with the default (0)
+      const resizeLayer = (grid) => grid && blank.map.map((row, y) => row.map((_, x) => (grid[y] && grid[y][x]) || 0));
+      return {
+        ...prev,
+        map,
+        floor: resizeLayer(prev.floor),
+        ceiling: resizeLayer(prev.ceiling),
+        light: resizeLayer(prev.light),
+        floorHeight: resizeLayer(prev.floorHeight),
+        wallHeight: resizeLayer(prev.wallHeight),
+        playerStart: fits(prev.playerStart) ? prev.playerStart : blank.playerStart,
+        enemySpawns: prev.enemySpawns.filter(fits),
+        pickups: prev.pickups.filter(fits),
+        triggers: prev.triggers.filter(fits),
+        lightEffects: prev.lightEffects && prev.lightEffects.filter(fits)
+      };
+    });
+    setSize({ width: newWidth, height: newHeight });
+  };
+
+  const newLevel = () => {
+    const blank = createBlankLevel(size.width, size.height);
+    setLevel(blank);
+    setErrors([]);
+  };
+
+  const playLevel = () => {
+    const result = validateLevel(level);
+    if (!result.valid) {
+      setErrors(result.errors);
+      return;
+    }
+    onPlay(level);
+  };
+
+  const exportLevel = () => {
+    const data = serializeLevel(level);
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${level.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'level'}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const importLevel = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = parseLevel(JSON.parse(await file.text()), file.name);
+      setLevel(imported);
+      setSize({ width: imported.map[0].length, height: imported.map.length });
+      setErrors([]);
+    } catch (error) {
+      setErrors(error.errors || [error.message]);
+    }
+  };
+
+  return (
+    <div className="level-editor">
+      <div className="editor-header">
+        <input className="editor-name" value={level.name} aria-label="Level name"
+               onChange={(e) => setLevel(prev => ({ ...prev, name: e.target.value }))} />
+        <button className="editor-button play" onClick={playLevel}>Play</button>
+        <button className="editor-button" onClick={() => onClose(level)}>Close</button>
+      </div>
+
+      <div className="editor-toolbar">
+        {TOOLS.map(({ id, label }) => (
+          <button key={id} className={`editor-button ${tool === id ? 'active' : ''}`} onClick={() => setTool(id)}>{label}</button>
+        ))}
+      </div>
+
+      {tool === 'tile' && (
+        <div className="editor-palette">
+          {TILE_PALETTE.map(({ tile, label }) => (
+            <button key={tile} title={label} aria-label={label}
+                    className={`editor-swatch ${paintTile === tile ? 'active' : ''}`}
+                    style={{ background: tileColor(tile) }}
+                    onClick={() => setPaintTile(tile)}>
+              {getTileType(tile) === TILE_TYPE.DOOR ? 'D' : getTileType(tile) === TILE_TYPE.PUSHWALL ? '?' : ''}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {tool === 'enemy' && (
+        <div className="editor-palette">
+          <select className="editor-select" value={enemyType} onChange={(e) => setEnemyType(e.target.value)}>
+            {ENEMY_IDS.map(type => <option key={type} value={type}>{ENEMY_TYPES[type].name}</option>)}
+          </select>
+        </div>
+      )}
+
+      {tool === 'pickup' && (
+        <div className="editor-palette">
+          <select className="editor-select" value={pickupType} onChange={(e) => setPickupType(e.target.value)}>
+            {PICKUP_IDS.map(type => <option key={type} value={type}>{PICKUP_TYPES[type].name}</option>)}
+          </select>
+        </div>
+      )}
+
+      {tool === 'player' && <p className="editor-hint">Click the start again to turn it.</p>}
+
+      <div className="editor-grid">
+        <canvas ref={canvasRef} width={width * CELL_SIZE} height={height * CELL_SIZE}
+                onPointerDown={handlePointerDown} onPointerMove={handlePointerMove}
+                onPointerUp={stopPainting} onPointerLeave={stopPainting} />
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="editor-errors">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      <div className="editor-footer">
+        <label>W <input type="number" min={MIN_SIZE} max={MAX_SIZE} value={size.width}
+                        onChange={(e) => setSize(prev => ({ ...prev, width: Number(e.target.value) }))} /></label>
+        <label>H <input type="number" min={MIN_SIZE} max={MAX_SIZE} value={size.height}
+                        onChange={(e) => setSize(prev => ({ ...prev, height: Number(e.target.value) }))} /></label>
+        <button className="editor-button" onClick={resizeLevel}>Resize</button>
+        <button className="editor-button" onClick={newLevel}>New</button>
+        <button className="editor-button" onClick={() => fileInputRef.current?.click()}>Import</button>
+        <button className="editor-button" onClick={exportLevel}>Export</button>
+        <input ref={fileInputRef} type="file" accept=".json,application/json" hidden onChange={importLevel} />
+      </div>
+    </div>
+  );
+};
+
+export default LevelEditor;
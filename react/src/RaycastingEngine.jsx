@@ -4,6 +4,7 @@ import { Engine } from './engine/core/Engine.js';
 import { DoomDemoScene } from './engine/demos/DoomDemo.js';
 import LoadingScreen from './components/LoadingScreen.jsx';
 import VirtualJoystick from './components/VirtualJoystick.jsx';
+import LevelEditor from './LevelEditor.jsx';
 
 const RaycastingEngine = () => {
   const canvasRef = useRef(null);
@@ -13,6 +14,8 @@ const RaycastingEngine = () => {
   const [joystickMovement, setJoystickMovement] = useState({ x: 0, y: 0, magnitude: 0 });
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [lastPerfResults, setLastPerfResults] = useState(null);
+  const [isEditorOpen, setIsEditorOpen] = useState(false);
+  const [editorLevel, setEditorLevel] = useState(null);
 
   useEffect(() => {
     const initEngine = async () => {
@@ -96,6 +99,28 @@ const RaycastingEngine = () => {
     URL.revokeObjectURL(url);
   };
 
+  const openEditor = () => {
+    setIsMenuOpen(false);
+    setIsEditorOpen(true);
+  };
+
+  const closeEditor = (level) => {
+    setEditorLevel(level);
+    setIsEditorOpen(false);
+  };
+
+  // Restart the demo scene, optionally with a single level from the editor
+  const loadDemo = async (transitionData = {}) => {
+    if (!engineRef.current) return;
+    await engineRef.current.sceneManager.loadScene('DoomDemo', transitionData);
+    canvasRef.current?.focus();
+  };
+
+  const playEditorLevel = (level) => {
+    closeEditor(level);
+    loadDemo({ level });
+  };
+
   return (
     <>
       {isLoading && <LoadingScreen />}
@@ -109,10 +134,14 @@ const RaycastingEngine = () => {
               <div className="panel-title">Performance</div>
               <button className="panel-item" onClick={() => startPerfTest(10000)}>Run 10s Perf Test</button>
               <button className="panel-item" onClick={exportPerfResults} disabled={!lastPerfResults && !getCurrentScene()?.getPerformanceResults?.()}>Export Last Results</button>
+              <div className="panel-title">Levels</div>
+              <button className="panel-item" onClick={openEditor}>Level Editor</button>
+              <button className="panel-item" onClick={() => { setIsMenuOpen(false); loadDemo(); }}>Restart Game</button>
               <button className="panel-item" onClick={() => setIsMenuOpen(false)}>Close</button>
             </div>
           )}
         </div>
+        {isEditorOpen && <LevelEditor initialLevel={editorLevel} onPlay={playEditorLevel} onClose={closeEditor} />}
         <div className="touch-controls">
           <div className="movement-controls">
             <VirtualJoystick onMove={handleJoystickMove} />
@@ -124,6 +153,8 @@ const RaycastingEngine = () => {
                     onMouseDown={(e) => { e.preventDefault(); handleTouch('use', true); }} onMouseUp={(e) => { e.preventDefault(); handleTouch('use', false); }}>USE</button>
             <button tabIndex="0" className="action-btn strafe" onTouchStart={(e) => { e.preventDefault(); handleTouch('strafe', true); }} onTouchEnd={(e) => { e.preventDefault(); handleTouch('strafe', false); }}
                     onMouseDown={(e) => { e.preventDefault(); handleTouch('strafe', true); }} onMouseUp={(e) => { e.preventDefault(); handleTouch('strafe', false); }}>STRAFE</button>
+            <button tabIndex="0" className="action-btn map" onTouchStart={(e) => { e.preventDefault(); handleTouch('automap', true); }} onTouchEnd={(e) => { e.preventDefault(); handleTouch('automap', false); }}
+                    onMouseDown={(e) => { e.preventDefault(); handleTouch('automap', true); }} onMouseUp={(e) => { e.preventDefault(); handleTouch('automap', false); }}>MAP</button>
           </div>
         </div>
       </div>
@@ -0,0 +1,202 @@
+import { GAME_CONSTANTS } from './Constants.js';
+import { castRay, traverseGrid } from './core/Raycaster.js';
+import { TILE_TYPE, getTileType, getDoorKey } from './Tiles.js';
+import { PICKUP_TYPES } from './Pickups.js';
+
+// Automap and HUD minimap for a level
+//
+// Cells are revealed as the player sees them: every frame a fan of sight
+// rays across the view walks the grid up to the first wall (doors and
+// moving pushwalls resolved as for the renderer's rays, through grates,
+// fences and glass), revealing the open cells on the way and the wall that
+// was hit. The automap draws every revealed cell fitted to an area of the
+// screen; the minimap draws the cells around the player in a corner of the
+// HUD. Secret pushwalls are drawn as plain walls.
+
+const COLORS = {
+  background: 'rgba(0, 0, 0, 0.85)',
+  floor: '#333',
+  wall: '#b73',
+  door: '#8cf',
+  seeThrough: '#79a',
+  exit: '#0c0',
+  player: '#fff',
+  enemy: '#f33'
+};
+
+// Locked doors take the colour of their keycard
+const KEY_COLORS = Object.fromEntries(
+  Object.values(PICKUP_TYPES).filter(type => type.key).map(type => [type.key, type.color])
+);
+
+export class Automap {
+  constructor(map) {
+    this.height = map.length;
+    this.width = this.height > 0 ? map[0].length : 0;
+    this.seen = new Uint8Array(this.width * this.height);
+    this.seenCount = 0;
+
+    this.revealCell = (cell) => {
+      this.markSeen(cell.x, cell.y);
+      return false;
+    };
+  }
+
+  /**
+   * Reveal what a viewer at (x, y) facing `angle` can see across `fov`
+   *
+   * `resolveCell` is the raycaster hook for doors, pushwalls and
+   * see-through walls (PhysicsSystem.getRayResolver(BLOCKS.SIGHT)).
+   * Whatever it lets the ray through is revealed on the way.
+   */
+  reveal(map, x, y, angle, fov, maxDepth, resolveCell = null) {
+    this.markSeen(Math.floor(x), Math.floor(y));
+
+    const rays = GAME_CONSTANTS.AUTOMAP_REVEAL_RAYS;
+    for (let i = 0; i <= rays; i++) {
+      const rayAngle = angle - fov / 2 + (i / rays) * fov;
+      const hit = castRay(map, x, y, rayAngle, maxDepth, resolveCell);
+
+      // Open cells up to the hit, then the wall itself
+      traverseGrid(map, x, y, Math.cos(rayAngle), Math.sin(rayAngle), hit.distance, this.revealCell);
+      if (hit.hit) {
+        this.markSeen(hit.cellX, hit.cellY);
+      }
+    }
+  }
+
+  markSeen(x, y) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+
+    const index = y * this.width + x;
+    if (!this.seen[index]) {
+      this.seen[index] = 1;
+      this.seenCount++;
+    }
+  }
+
+  isSeen(x, y) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return false;
+    return this.seen[y * this.width + x] === 1;
+  }
+
+  /**
+   * Whole map of revealed cells, fitted into a screen area
+   */
+  renderAutomap(ctx, scene, left, top, width, height) {
+    const margin = 8;
+    const cellSize = Math.max(1, Math.min((width - margin * 2) / this.width, (height - margin * 2) / this.height));
+    const originX = left + (width - cellSize * this.width) / 2;
+    const originY = top + (height - cellSize * this.height) / 2;
+
+    ctx.save();
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(left, top, width, height);
+    this.draw(ctx, scene, originX, originY, cellSize, 0, 0, this.width, this.height);
+    ctx.restore();
+  }
+
+  /**
+   * Square map of the cells around the player, who stays in the middle
+   */
+  renderMinimap(ctx, scene, left, top, size) {
+    const { player } = scene;
+    const radius = GAME_CONSTANTS.MINIMAP_RADIUS;
+    const cellSize = size / (radius * 2 + 1);
+    const cellX = Math.floor(player.x);
+    const cellY = Math.floor(player.y);
+
+    ctx.save();
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(left, top, size, size);
+    ctx.beginPath();
+    ctx.rect(left, top, size, size);
+    ctx.clip();
+    this.draw(
+      ctx, scene,
+      left + size / 2 - player.x * cellSize,
+      top + size / 2 - player.y * cellSize,
+      cellSize,
+      cellX - radius - 1, cellY - radius - 1, cellX + radius + 2, cellY + radius + 2
+    );
+    ctx.restore();
+
+    ctx.strokeStyle = GAME_CONSTANTS.CROSSHAIR_COLOR;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(left + 0.5, top + 0.5, size - 1, size - 1);
+  }
+
+  /**
+   * Draw revealed cells in [minX, maxX) x [minY, maxY) with the map's
+   * top left corner at (originX, originY), then pickups, enemies and the
+   * player on top
+   */
+  draw(ctx, scene, originX, originY, cellSize, minX, minY, maxX, maxY) {
+    const exits = new Set(
+      (scene.triggers || []).filter(trigger => trigger.action === 'exit')
+        .map(trigger => Math.floor(trigger.y) * this.width + Math.floor(trigger.x))
+    );
+
+    for (let y = Math.max(0, minY); y < Math.min(this.height, maxY); y++) {
+      for (let x = Math.max(0, minX); x < Math.min(this.width, maxX); x++) {
+        const index = y * this.width + x;
+        if (!this.seen[index]) continue;
+
+        ctx.fillStyle = exits.has(index) ? COLORS.exit : getCellColor(scene.map[y][x]);
+        // Slightly oversized so neighbouring cells leave no seams
+        ctx.fillRect(originX + x * cellSize, originY + y * cellSize, cellSize + 0.5, cellSize + 0.5);
+      }
+    }
+
+    const dotSize = Math.max(2, cellSize * 0.4);
+    const drawDot = (x, y, color) => {
+      if (!this.isSeen(Math.floor(x), Math.floor(y))) return;
+      ctx.fillStyle = color;
+      ctx.fillRect(originX + x * cellSize - dotSize / 2, originY + y * cellSize - dotSize / 2, dotSize, dotSize);
+    };
+
+    if (GAME_CONSTANTS.AUTOMAP_SHOW_PICKUPS) {
+      for (const pickup of scene.pickups || []) {
+        if (pickup.active) drawDot(pickup.x, pickup.y, pickup.definition.color);
+      }
+    }
+    if (GAME_CONSTANTS.AUTOMAP_SHOW_ENEMIES) {
+      for (const enemy of scene.enemies || []) {
+        drawDot(enemy.x, enemy.y, COLORS.enemy);
+      }
+    }
+
+    const { player } = scene;
+    if (player) {
+      drawArrow(ctx, originX + player.x * cellSize, originY + player.y * cellSize, player.angle, Math.max(4, cellSize * 0.8));
+    }
+  }
+
+  getStats() {
+    return { revealed: this.seenCount, cells: this.width * this.height };
+  }
+}
+
+function getCellColor(tile) {
+  switch (getTileType(tile)) {
+    case TILE_TYPE.EMPTY:
+      return COLORS.floor;
+    case TILE_TYPE.DOOR:
+      return KEY_COLORS[getDoorKey(tile)] || COLORS.door;
+    case TILE_TYPE.SEE_THROUGH:
+      return COLORS.seeThrough;
+    default:
+      return COLORS.wall;
+  }
+}
+
+// Arrow pointing along `angle`, centred on (x, y)
+function drawArrow(ctx, x, y, angle, size) {
+  ctx.fillStyle = COLORS.player;
+  ctx.beginPath();
+  ctx.moveTo(x + Math.cos(angle) * size, y + Math.sin(angle) * size);
+  ctx.lineTo(x + Math.cos(angle + 2.5) * size * 0.7, y + Math.sin(angle + 2.5) * size * 0.7);
+  ctx.lineTo(x + Math.cos(angle - 2.5) * size * 0.7, y + Math.sin(angle - 2.5) * size * 0.7);
+  ctx.closePath();
+  ctx.fill();
+}
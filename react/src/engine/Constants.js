@@ -5,13 +5,48 @@ export const GAME_CONSTANTS = {
   RAY_COUNT: 120,
   MAX_DEPTH: 20,
   TARGET_FPS: 30,
+  SEE_THROUGH_LAYERS: 4, // see-through walls drawn per column; further ones hide what is behind them
+
+  // Dynamic resolution (core/ResolutionScaler.js)
+  RESOLUTION_MIN_SCALE: 0.5, // lowest internal resolution, as a share of the canvas size
+  RESOLUTION_STEP: 0.125, // scale change per decision
+  RESOLUTION_WINDOW: 30, // frames averaged per decision
+  RESOLUTION_DOWNSCALE_LOAD: 0.9, // share of the frame budget above which resolution drops
+  RESOLUTION_UPSCALE_LOAD: 0.6, // share of the frame budget below which it may rise
+  RESOLUTION_UPSCALE_DELAY: 3, // windows in a row under the upscale load before rising
+
+  // Lighting (core/LightingSystem.js; levels can override these)
+  LIGHT_LEVEL: 208, // default cell light level (0-255)
+  FOG_COLOR: [0, 0, 0], // RGB
+  FOG_DENSITY: 0.05, // exponential fog per cell (0 = no fog)
+  MAX_DYNAMIC_LIGHTS: 8, // muzzle flashes and explosions lit at once
 
   // Player
   MOVE_SPEED: 0.08,
   TURN_SPEED: 0.05,
   PLAYER_START_HEALTH: 100,
   PLAYER_START_AMMO: 50,
+  PLAYER_START_SHELLS: 8,
   MAX_AMMO: 100,
+  MAX_SHELLS: 50,
+  MAX_ROCKETS: 20,
+  MAX_HEALTH: 100, // Medikits don't heal past this
+  MAX_ARMOR: 100,
+  ARMOR_ABSORB: 1 / 3, // Share of incoming damage armor soaks up
+  PLAYER_RADIUS: 0.3,
+
+  // Camera and vertical movement (Player.js; heights in wall heights, walls are 1 tall)
+  PLAYER_EYE_HEIGHT: 0.5,
+  PLAYER_CROUCH_EYE_HEIGHT: 0.3,
+  PLAYER_HEIGHT: 0.6, // top of the body while standing, for projectile hits
+  CROUCH_TIME: 150, // ms to crouch down or stand up
+  CROUCH_SPEED_FACTOR: 0.5, // movement speed while fully crouched
+  JUMP_VELOCITY: 0.0023, // take-off speed per ms (a jump peaks at 0.4 after ~350ms)
+  GRAVITY: 0.0000065, // per ms²
+  MAX_PITCH: 0.3, // how far the horizon moves to look up or down, in screen heights
+  PITCH_SPEED: 0.0008, // per ms while a look key is held
+  MOUSE_PITCH_SPEED: 0.002, // per pixel of mouse movement while dragging with the right button
+  STEP_HEIGHT: 0.3, // highest rise in the floor walked up without jumping (Heights.js)
 
   // Enemy
   ENEMY_HEALTH: 100,
@@ -20,11 +55,40 @@ export const GAME_CONSTANTS = {
   ENEMY_ATTACK_COOLDOWN: 1000, // ms
   ENEMY_SIZE: 0.5,
 
-  // Game
+  // Enemy navigation (core/PathfindingSystem.js)
+  PATHFINDING_BUDGET: 2, // path searches solved per frame
+  PATHFINDING_MAX_NODES: 2000, // cells a single search may expand
+  PATH_CACHE_TIME: 1000, // ms a path between two cells is reused
+  PATH_CACHE_SIZE: 128, // cached paths before expired ones are pruned
+  ENEMY_REPATH_INTERVAL: 500, // ms between path requests per enemy
+  ENEMY_WAYPOINT_RADIUS: 0.25, // how close counts as reaching a waypoint
+
+  // Enemy perception and behaviour (EnemyAI.js)
+  ENEMY_VIEW_ANGLE: Math.PI * 2 / 3, // width of the view cone
+  ENEMY_VIEW_DISTANCE: 14,
+  ENEMY_SENSE_RADIUS: 1.5, // noticed from any angle this close
+  ENEMY_ALERT_RADIUS: 6, // allies this close hear an enemy's shout
+  ENEMY_REACTION_TIME: 300, // ms between noticing and acting
+  ENEMY_SEARCH_TIME: 3000, // ms spent looking around before giving up
+  ENEMY_FLEE_TIME: 2500, // ms a badly hurt enemy runs before turning back
+
+  // Game (weapon stats live in Weapons.js)
   SHOOT_DISTANCE: 10,
   SHOOT_DAMAGE: 50,
   SCORE_PER_ENEMY: 100,
-  AMMO_DROP: 5,
+  AMMO_DROP: 5, // Bullets in the clip an enemy drops
+  PROJECTILE_POOL_SIZE: 16, // projectiles created up front (types live in Projectile.js)
+  PROJECTILE_HEIGHT: 0.3, // wall heights above the floor projectiles fly at
+
+  // Pickups (types live in Pickups.js)
+  PICKUP_RADIUS: 0.3,
+  PICKUP_FLASH_TIME: 200, // ms of screen tint after collecting
+
+  // Automap and HUD minimap (Automap.js)
+  AUTOMAP_REVEAL_RAYS: 32, // sight rays per frame that reveal cells across the view
+  AUTOMAP_SHOW_ENEMIES: false, // mark enemies standing in revealed cells
+  AUTOMAP_SHOW_PICKUPS: true, // mark pickups lying in revealed cells
+  MINIMAP_RADIUS: 6, // cells shown on each side of the player
 
   // Canvas
   CANVAS_WIDTH: 240,
@@ -33,6 +97,41 @@ export const GAME_CONSTANTS = {
   LANDSCAPE_HEIGHT: 240,
   LANDSCAPE_RAY_COUNT: 160,
 
+  // Wall textures (map value -> texture definition). The same IDs are
+  // used by floor and ceiling layers in level data.
+  WALL_TEXTURES: {
+    1: { style: 'brick', color: [150, 70, 40] },
+    2: { style: 'stone', color: [110, 110, 100] },
+    3: { style: 'metal', color: [90, 100, 120] },
+    4: { style: 'wood', color: [120, 80, 40] },
+    5: { style: 'tech', color: [60, 70, 90] },
+    6: { style: 'tiles', color: [70, 70, 70] },
+    7: { style: 'panels', color: [50, 50, 55] },
+    8: { style: 'door', color: [100, 100, 110] },
+    9: { style: 'door', color: [150, 40, 40] },
+    10: { style: 'door', color: [40, 60, 150] },
+    11: { style: 'door', color: [160, 140, 30] },
+    12: { style: 'grate', color: [80, 80, 85] },
+    13: { style: 'fence', color: [150, 150, 140] },
+    14: { style: 'glass', color: [150, 200, 220] }
+  },
+
+  // Doors and secrets
+  DOOR_SLIDE_TIME: 600, // ms to fully open or close
+  DOOR_STAY_OPEN_TIME: 3000, // ms before a door closes again
+  PUSHWALL_SPEED: 0.001, // cells per ms
+  PUSHWALL_DISTANCE: 2, // cells a pushwall travels
+  USE_DISTANCE: 1.5,
+  USE_COOLDOWN: 300, // ms
+  WEAPON_SWITCH_COOLDOWN: 250, // ms between weapon switches from held keys
+
+  // Extra levels loaded from JSON (relative to the page)
+  LEVEL_PACK_URL: 'levels/index.json',
+
+  // Generated levels after the hand-built ones
+  ENDLESS_LEVELS: true,
+  LEVEL_SEED: 1337,
+
   // Colors
   WALL_COLOR_BASE: [255, 127, 0], // RGB
   MUZZLE_FLASH_COLOR: [255, 255, 0],
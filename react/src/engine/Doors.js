@@ -0,0 +1,347 @@
+import { GAME_CONSTANTS } from './Constants.js';
+import { TILE, TILE_TYPE, getTileType, getDoorKey, getTileTexture } from './Tiles.js';
+import { traverseGrid, HIT_SIDE } from './core/Raycaster.js';
+
+// Door and secret pushwall state for a level
+//
+// Doors are thin panels through the middle of their cell that slide
+// sideways into the wall as they open. Pushwalls are wall blocks that slide
+// away from the player when used. Both are resolved per cell while the
+// raycaster walks the grid, so rendering and physics see the same geometry.
+export class DoorManager {
+  constructor(map) {
+    this.map = map;
+    this.height = map.length;
+    this.width = this.height > 0 ? map[0].length : 0;
+    this.doors = new Map();
+    this.pushwalls = new Map(); // cell index -> moving pushwall
+    this.secretsFound = 0;
+
+    this.resolveRayCell = this.resolveRayCell.bind(this);
+    this.scanMap();
+  }
+
+  /**
+   * Find door tiles and work out which way each one runs
+   */
+  scanMap() {
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        const tile = this.map[y][x];
+        if (getTileType(tile) !== TILE_TYPE.DOOR) continue;
+
+        // Walls east and west: the panel spans the cell along x
+        const horizontal = this.isWallTile(x - 1, y) && this.isWallTile(x + 1, y);
+
+        this.doors.set(this.cellIndex(x, y), {
+          x,
+          y,
+          tile,
+          key: getDoorKey(tile),
+          orientation: horizontal ? 'horizontal' : 'vertical',
+          open: 0, // 0 = closed, 1 = fully open
+          state: 'closed', // 'closed', 'opening', 'open', 'closing'
+          timer: 0
+        });
+      }
+    }
+  }
+
+  cellIndex(x, y) {
+    return y * this.width + x;
+  }
+
+  isWallTile(x, y) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return true;
+    const type = getTileType(this.map[y][x]);
+    return type === TILE_TYPE.WALL || type === TILE_TYPE.PUSHWALL;
+  }
+
+  getDoor(x, y) {
+    return this.doors.get(this.cellIndex(x, y)) || null;
+  }
+
+  /**
+   * Check whether a non-empty cell can be walked through
+   */
+  isCellPassable(x, y) {
+    const door = this.getDoor(x, y);
+    return !!door && door.open >= 0.9;
+  }
+
+  /**
+   * Animate doors and moving pushwalls
+   *
+   * `isOccupied(x, y)` reports whether an actor stands in a cell, so doors
+   * don't close on the player or enemies.
+   */
+  update(deltaTime, isOccupied = () => false) {
+    for (const door of this.doors.values()) {
+      switch (door.state) {
+        case 'opening':
+          door.open = Math.min(1, door.open + deltaTime / GAME_CONSTANTS.DOOR_SLIDE_TIME);
+          if (door.open >= 1) {
+            door.state = 'open';
+            door.timer = GAME_CONSTANTS.DOOR_STAY_OPEN_TIME;
+          }
+          break;
+        case 'open':
+          door.timer -= deltaTime;
+          if (door.timer <= 0) {
+            if (isOccupied(door.x, door.y)) {
+              door.timer = 500; // Try again shortly
+            } else {
+              door.state = 'closing';
+            }
+          }
+          break;
+        case 'closing':
+          if (isOccupied(door.x, door.y)) {
+            door.state = 'opening';
+            break;
+          }
+          door.open = Math.max(0, door.open - deltaTime / GAME_CONSTANTS.DOOR_SLIDE_TIME);
+          if (door.open <= 0) {
+            door.state = 'closed';
+          }
+          break;
+      }
+    }
+
+    for (const pushwall of new Set(this.pushwalls.values())) {
+      this.updatePushwall(pushwall, deltaTime, isOccupied);
+    }
+  }
+
+  /**
+   * Use whatever door or pushwall is directly in front of a position
+   *
+   * Returns { type: 'door' | 'locked' | 'pushwall', ... } or null.
+   */
+  use(originX, originY, angle, keys = new Set()) {
+    const dirX = Math.cos(angle);
+    const dirY = Math.sin(angle);
+    let target = null;
+
+    traverseGrid(this.map, originX, originY, dirX, dirY, GAME_CONSTANTS.USE_DISTANCE, (cell) => {
+      const type = getTileType(cell.tile);
+      if (type === TILE_TYPE.DOOR || type === TILE_TYPE.PUSHWALL) {
+        target = { type, x: cell.x, y: cell.y, side: cell.side };
+      }
+      return type !== TILE_TYPE.EMPTY;
+    });
+
+    if (!target) return null;
+
+    if (target.type === TILE_TYPE.DOOR) {
+      return this.toggleDoor(this.getDoor(target.x, target.y), keys);
+    }
+    return this.startPushwall(target.x, target.y, target.side);
+  }
+
+  toggleDoor(door, keys) {
+    if (door.key && !keys.has(door.key)) {
+      return { type: 'locked', key: door.key, door };
+    }
+
+    if (door.state === 'closed' || door.state === 'closing') {
+      door.state = 'opening';
+    } else {
+      door.state = 'closing';
+    }
+    return { type: 'door', door };
+  }
+
+  /**
+   * Start sliding a pushwall away from the face that was used
+   */
+  startPushwall(x, y, side) {
+    if (this.pushwalls.has(this.cellIndex(x, y))) return null;
+
+    const dx = side === HIT_SIDE.WEST ? 1 : side === HIT_SIDE.EAST ? -1 : 0;
+    const dy = side === HIT_SIDE.NORTH ? 1 : side === HIT_SIDE.SOUTH ? -1 : 0;
+    if (!this.isFreeCell(x + dx, y + dy)) return null;
+
+    const pushwall = { x, y, dx, dy, tile: this.map[y][x], offset: 0, moved: 0 };
+    this.map[y + dy][x + dx] = pushwall.tile;
+    this.pushwalls.set(this.cellIndex(x, y), pushwall);
+    this.pushwalls.set(this.cellIndex(x + dx, y + dy), pushwall);
+    this.secretsFound++;
+
+    return { type: 'pushwall', pushwall };
+  }
+
+  isFreeCell(x, y) {
+    return x >= 0 && x < this.width && y >= 0 && y < this.height && this.map[y][x] === TILE.EMPTY;
+  }
+
+  updatePushwall(pushwall, deltaTime, isOccupied) {
+    pushwall.offset += deltaTime * GAME_CONSTANTS.PUSHWALL_SPEED;
+    if (pushwall.offset < 1) return;
+
+    // Block has fully entered the next cell
+    this.map[pushwall.y][pushwall.x] = TILE.EMPTY;
+    this.pushwalls.delete(this.cellIndex(pushwall.x, pushwall.y));
+    pushwall.x += pushwall.dx;
+    pushwall.y += pushwall.dy;
+    pushwall.offset = 0;
+    pushwall.moved++;
+
+    const nextX = pushwall.x + pushwall.dx;
+    const nextY = pushwall.y + pushwall.dy;
+
+    if (pushwall.moved >= GAME_CONSTANTS.PUSHWALL_DISTANCE ||
+        !this.isFreeCell(nextX, nextY) || isOccupied(nextX, nextY)) {
+      // Come to rest as a plain wall so it can't be pushed again
+      this.map[pushwall.y][pushwall.x] = getTileTexture(pushwall.tile);
+      this.pushwalls.delete(this.cellIndex(pushwall.x, pushwall.y));
+      return;
+    }
+
+    this.map[nextY][nextX] = pushwall.tile;
+    this.pushwalls.set(this.cellIndex(nextX, nextY), pushwall);
+  }
+
+  /**
+   * Raycaster hook for door and moving pushwall cells
+   *
+   * Returns a hit, null when the ray passes through the cell, or undefined
+   * to treat the cell as an ordinary wall.
+   */
+  resolveRayCell(cell, originX, originY, dirX, dirY) {
+    const index = this.cellIndex(cell.x, cell.y);
+    const door = this.doors.get(index);
+    if (door) {
+      return this.intersectDoor(door, cell, originX, originY, dirX, dirY);
+    }
+
+    const pushwall = this.pushwalls.get(index);
+    if (pushwall) {
+      return this.intersectPushwall(pushwall, cell, originX, originY, dirX, dirY);
+    }
+
+    return undefined;
+  }
+
+  intersectDoor(door, cell, originX, originY, dirX, dirY) {
+    const horizontal = door.orientation === 'horizontal';
+    const direction = horizontal ? dirY : dirX;
+    if (direction === 0) return null;
+
+    // Panel runs through the middle of the cell
+    const plane = horizontal ? cell.y + 0.5 : cell.x + 0.5;
+    const t = (plane - (horizontal ? originY : originX)) / direction;
+    if (t < cell.distance || t > cell.exitDistance) return null;
+
+    const x = originX + dirX * t;
+    const y = originY + dirY * t;
+    const along = horizontal ? x - cell.x : y - cell.y;
+
+    // The open part of the doorway lets the ray through
+    if (along < door.open) return null;
+
+    let side;
+    if (horizontal) {
+      side = dirY > 0 ? HIT_SIDE.NORTH : HIT_SIDE.SOUTH;
+    } else {
+      side = dirX > 0 ? HIT_SIDE.WEST : HIT_SIDE.EAST;
+    }
+
+    return {
+      hit: true,
+      distance: t,
+      cellX: cell.x,
+      cellY: cell.y,
+      tile: cell.tile,
+      side,
+      textureX: along - door.open,
+      x,
+      y
+    };
+  }
+
+  intersectPushwall(pushwall, cell, originX, originY, dirX, dirY) {
+    // Slab test against the block's current box
+    const minX = pushwall.x + pushwall.dx * pushwall.offset;
+    const minY = pushwall.y + pushwall.dy * pushwall.offset;
+    const [nearX, farX] = slab(originX, dirX, minX, minX + 1);
+    const [nearY, farY] = slab(originY, dirY, minY, minY + 1);
+    const near = Math.max(nearX, nearY);
+    const far = Math.min(farX, farY);
+
+    if (near > far || far < 0) return null;
+
+    // Only report the hit from the cell the ray is in when it happens
+    const epsilon = 1e-6;
+    if (near < cell.distance - epsilon || near > cell.exitDistance + epsilon) return null;
+
+    const x = originX + dirX * near;
+    const y = originY + dirY * near;
+    let side;
+    let textureX;
+
+    if (nearX > nearY) {
+      side = dirX > 0 ? HIT_SIDE.WEST : HIT_SIDE.EAST;
+      textureX = y - minY;
+      if (side === HIT_SIDE.WEST) textureX = 1 - textureX;
+    } else {
+      side = dirY > 0 ? HIT_SIDE.NORTH : HIT_SIDE.SOUTH;
+      textureX = x - minX;
+      if (side === HIT_SIDE.SOUTH) textureX = 1 - textureX;
+    }
+
+    return {
+      hit: true,
+      distance: near,
+      cellX: cell.x,
+      cellY: cell.y,
+      tile: pushwall.tile,
+      side,
+      textureX,
+      x,
+      y
+    };
+  }
+
+  /**
+   * Door and pushwall state as plain data (for a renderer in a worker)
+   */
+  getSnapshot() {
+    return { doors: Array.from(this.doors), pushwalls: Array.from(this.pushwalls) };
+  }
+
+  /**
+   * Take over a map and the door and pushwall state from getSnapshot(),
+   * so resolveRayCell sees the same geometry as the game
+   */
+  applySnapshot(map, snapshot) {
+    this.map = map;
+    this.height = map.length;
+    this.width = this.height > 0 ? map[0].length : 0;
+    this.doors = new Map(snapshot.doors);
+    this.pushwalls = new Map(snapshot.pushwalls);
+  }
+
+  getStats() {
+    let openDoors = 0;
+    for (const door of this.doors.values()) {
+      if (door.state !== 'closed') openDoors++;
+    }
+    return {
+      doors: this.doors.size,
+      openDoors,
+      movingPushwalls: new Set(this.pushwalls.values()).size,
+      secretsFound: this.secretsFound
+    };
+  }
+}
+
+// Entry and exit ray parameters for one axis of a box
+function slab(origin, direction, min, max) {
+  if (direction === 0) {
+    return origin >= min && origin <= max ? [-Infinity, Infinity] : [Infinity, -Infinity];
+  }
+  const t1 = (min - origin) / direction;
+  const t2 = (max - origin) / direction;
+  return t1 < t2 ? [t1, t2] : [t2, t1];
+}
@@ -1,17 +1,59 @@
 import { GAME_CONSTANTS } from './Constants.js';
+import { ENEMY_TYPES, DEFAULT_ENEMY_TYPE, ONE_SHOT_ANIMATIONS, createEnemySprite } from './EnemyTypes.js';
+import { ENEMY_AI_STATES, canHearNoise } from './EnemyAI.js';
+import { createHitbox } from './Projectile.js';
+import { BLOCKS } from './Tiles.js';
+import { StateMachine } from './ecs/StateMachine.js';
+import { Signals } from './ecs/Signals.js';
 
 export class Enemy {
-  constructor(x, y, scene) {
+  /**
+   * Options: patrol (list of { x, y } points walked in a loop with the spawn)
+   */
+  constructor(x, y, scene, type = DEFAULT_ENEMY_TYPE, options = {}) {
+    const definition = ENEMY_TYPES[type];
+    if (!definition) {
+      throw new Error(`Unknown enemy type: ${type}`);
+    }
+
     this.x = x;
     this.y = y;
     this.scene = scene;
-    this.health = GAME_CONSTANTS.ENEMY_HEALTH;
-    this.speed = GAME_CONSTANTS.ENEMY_SPEED;
+    this.type = type;
+    this.definition = definition;
+    this.health = definition.health;
+    this.speed = definition.speed;
     this.angle = Math.random() * Math.PI * 2;
-    this.state = 'idle'; // 'idle', 'chasing', 'attacking'
     this.lastAttack = 0;
-    this.attackCooldown = GAME_CONSTANTS.ENEMY_ATTACK_COOLDOWN;
-    this.size = GAME_CONSTANTS.ENEMY_SIZE;
+    this.attackCooldown = definition.attack.cooldown;
+    this.size = definition.size;
+    this.hitbox = createHitbox(definition.size / 2, 'enemies');
+    this.age = 0; // ms alive, drives weaving
+    this.searchTimer = 0; // ms spent looking around the last known position
+    this.hasFled = false;
+
+    // Navigation: the last place the player was seen, the path being
+    // followed and the patrol route
+    this.lastKnownPosition = null;
+    this.path = null;
+    this.pathGoal = null; // Cell the current path leads to
+    this.pathFailed = false;
+    this.repathTimer = 0;
+    this.patrol = options.patrol && options.patrol.length > 0
+      ? [{ x, y }, ...options.patrol.map(point => ({ x: point.x, y: point.y }))]
+      : [];
+    this.patrolIndex = 0;
+
+    // Behaviour (states live in EnemyAI.js)
+    this.ai = new StateMachine(this, ENEMY_AI_STATES).start(this.patrol.length > 0 ? 'patrol' : 'idle');
+    this.signals = null; // SignalManager listened to while in a scene
+    this.signalIds = [];
+
+    // Directional sprite sheet animations ('idle', 'walk', 'attack', 'pain',
+    // 'death'), picked from the AI state each update
+    this.sprite = createEnemySprite(type);
+    this.animation = null;
+    this.playAnimation('idle');
 
     // Performance optimizations
     this.lastLineOfSightCheck = 0;
@@ -20,55 +62,221 @@ export class Enemy {
     this.cacheDuration = 200; // Cache line of sight for 200ms
   }
 
+  /**
+   * Current AI state ('idle', 'patrol', 'alert', 'chase', 'attack',
+   * 'search', 'flee', 'pain' or 'dead')
+   */
+  get state() {
+    return this.ai.current;
+  }
+
   // Scene system methods
   onAddedToScene() {
-    // Called when entity is added to scene
+    // Listen for gunshots and allies spotting the player
+    this.signals = this.scene?.signals || null;
+    if (!this.signals) return;
+    this.signalIds = [
+      this.signals.connect(Signals.NOISE, this.hearNoise, this),
+      this.signals.connect(Signals.ENEMY_ALERTED, this.onAllyAlerted, this)
+    ];
   }
 
   onRemovedFromScene() {
-    // Called when entity is removed from scene
+    this.stopListening();
+  }
+
+  /**
+   * Disconnect from the scene's signals (the scene reference may already be
+   * gone, hence the saved manager)
+   */
+  stopListening() {
+    if (!this.signals) return;
+    this.signals.disconnect(Signals.NOISE, this.signalIds[0]);
+    this.signals.disconnect(Signals.ENEMY_ALERTED, this.signalIds[1]);
+    this.signals = null;
+    this.signalIds = [];
   }
 
   update(deltaTime) {
+    // Corpses only finish their death animation
+    if (this.ai.current === 'dead') {
+      this.sprite.update(deltaTime);
+      return;
+    }
     if (!this.scene || !this.scene.player || !this.scene.engine) return;
 
-    const dx = this.scene.player.x - this.x;
-    const dy = this.scene.player.y - this.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-
-    // Line of sight check
-    if (this.hasLineOfSight()) {
-      this.state = 'chasing';
-      // Move towards player
-      if (distance > 1) {
-        const moveAngle = Math.atan2(dy, dx);
-        const newX = this.x + Math.cos(moveAngle) * this.speed * (deltaTime / 16.67);
-        const newY = this.y + Math.sin(moveAngle) * this.speed * (deltaTime / 16.67);
-
-        if (this.scene.engine.physics.isValidPosition(newX, newY)) {
-          this.x = newX;
-          this.y = newY;
-        }
-      } else {
-        // Attack player
-        this.state = 'attacking';
-        if (Date.now() - this.lastAttack > this.attackCooldown) {
-          this.attackPlayer();
-          this.lastAttack = Date.now();
-        }
-      }
-    } else {
-      this.state = 'idle';
-      // Random movement when not chasing
-      this.angle += (Math.random() - 0.5) * 0.1;
-      const newX = this.x + Math.cos(this.angle) * this.speed * 0.5 * (deltaTime / 16.67);
-      const newY = this.y + Math.sin(this.angle) * this.speed * 0.5 * (deltaTime / 16.67);
-
-      if (this.scene.engine.physics.isValidPosition(newX, newY)) {
-        this.x = newX;
-        this.y = newY;
+    const { x, y } = this;
+    this.age += deltaTime;
+    this.ai.update(deltaTime);
+    this.updateAnimation(this.x !== x || this.y !== y);
+    this.sprite.update(deltaTime);
+  }
+
+  /**
+   * Note where the player is now
+   */
+  rememberPlayer() {
+    this.lastKnownPosition = { x: this.scene.player.x, y: this.scene.player.y };
+  }
+
+  /**
+   * React to something at a position: calm enemies become alert, hunting
+   * ones that lost the player go and look there
+   *
+   * Options: shout (tell allies nearby, default true)
+   */
+  alert(x, y, options = {}) {
+    if (this.ai.isIn('calm')) {
+      this.lastKnownPosition = { x, y };
+      this.ai.transition('alert', options);
+    } else if (this.ai.current === 'search') {
+      this.lastKnownPosition = { x, y };
+      this.path = null;
+    }
+  }
+
+  /**
+   * Tell allies within ENEMY_ALERT_RADIUS where the player is
+   */
+  shout() {
+    if (this.signals && this.lastKnownPosition) {
+      this.signals.emit(Signals.ENEMY_ALERTED, this, this.lastKnownPosition);
+    }
+  }
+
+  /**
+   * Signals.NOISE listener ({ x, y, radius })
+   */
+  hearNoise(noise) {
+    if (this.ai.current !== 'dead' && canHearNoise(this, noise)) {
+      this.alert(noise.x, noise.y);
+    }
+  }
+
+  /**
+   * Signals.ENEMY_ALERTED listener
+   */
+  onAllyAlerted(ally, position) {
+    if (ally === this || this.ai.current === 'dead') return;
+    if (Math.hypot(ally.x - this.x, ally.y - this.y) <= GAME_CONSTANTS.ENEMY_ALERT_RADIUS) {
+      this.alert(position.x, position.y, { shout: false });
+    }
+  }
+
+  distanceToPlayer() {
+    const player = this.scene.player;
+    return Math.hypot(player.x - this.x, player.y - this.y);
+  }
+
+  faceTowards(x, y) {
+    this.angle = Math.atan2(y - this.y, x - this.x);
+  }
+
+  /**
+   * Amble about at random
+   */
+  wander(deltaTime) {
+    this.angle += (Math.random() - 0.5) * 0.1;
+    if (!this.moveTowards(this.angle, this.speed * 0.5, deltaTime)) {
+      this.angle += Math.PI / 2; // Turn away from walls
+    }
+  }
+
+  /**
+   * Step in a direction, sliding along walls; returns false when fully blocked
+   */
+  moveTowards(angle, speed, deltaTime) {
+    const physics = this.scene.engine.physics;
+    const newX = this.x + Math.cos(angle) * speed * (deltaTime / 16.67);
+    const newY = this.y + Math.sin(angle) * speed * (deltaTime / 16.67);
+    const reach = physics.getFloorHeight(this.x, this.y) + GAME_CONSTANTS.STEP_HEIGHT;
+
+    if (physics.isValidPosition(newX, newY, 0.3, reach)) {
+      this.x = newX;
+      this.y = newY;
+      return true;
+    }
+
+    // Blocked: keep whichever part of the move still fits
+    const slideX = physics.isValidPosition(newX, this.y, 0.3, reach);
+    const slideY = physics.isValidPosition(this.x, newY, 0.3, reach);
+    if (slideX) this.x = newX;
+    else if (slideY) this.y = newY;
+    return false;
+  }
+
+  /**
+   * Head straight for the player, following a path instead while a wall is
+   * in the way
+   */
+  pursue(angle, speed, deltaTime) {
+    const player = this.scene.player;
+    if ((this.path && this.path.length > 0) || !this.moveTowards(angle, speed, deltaTime)) {
+      this.navigateTo(player.x, player.y, speed, deltaTime);
+    }
+  }
+
+  /**
+   * Follow an A* path to a point, asking the PathfindingSystem for a new one
+   * every ENEMY_REPATH_INTERVAL or when the goal moves to another cell
+   *
+   * Returns true once the goal is reached or turns out to be unreachable.
+   */
+  navigateTo(goalX, goalY, speed, deltaTime) {
+    const reach = GAME_CONSTANTS.ENEMY_WAYPOINT_RADIUS;
+    if (Math.hypot(goalX - this.x, goalY - this.y) <= reach) {
+      this.path = null;
+      return true;
+    }
+
+    const goalCell = `${Math.floor(goalX)},${Math.floor(goalY)}`;
+    this.repathTimer -= deltaTime;
+    if (this.repathTimer <= 0 || goalCell !== this.pathGoal) {
+      if (goalCell !== this.pathGoal) {
+        this.path = null;
+        this.pathFailed = false;
       }
+      this.repathTimer = GAME_CONSTANTS.ENEMY_REPATH_INTERVAL;
+      this.pathGoal = goalCell;
+      this.scene.engine.pathfinding.requestPath(this, this.x, this.y, goalX, goalY, (path) => {
+        this.path = path;
+        this.pathFailed = !path;
+      });
+    }
+
+    if (this.pathFailed) {
+      this.pathFailed = false;
+      return true;
+    }
+    if (!this.path || this.path.length === 0) {
+      return false; // Waiting for the path
     }
+
+    const waypoint = this.path[0];
+    if (Math.hypot(waypoint.x - this.x, waypoint.y - this.y) <= reach) {
+      this.path.shift();
+      return false;
+    }
+
+    this.faceTowards(waypoint.x, waypoint.y);
+    this.moveTowards(this.angle, speed, deltaTime);
+    return false;
+  }
+
+  /**
+   * Chase speed, boosted for chargers once they are close
+   */
+  getChaseSpeed(distance) {
+    const { charge } = this.definition;
+    return charge && distance <= charge.range ? this.speed * charge.speedMultiplier : this.speed;
+  }
+
+  /**
+   * Sideways angle offset for types that zig-zag towards the player
+   */
+  getWeaveOffset() {
+    const { weave } = this.definition;
+    return weave ? Math.sin((this.age / weave.period) * Math.PI * 2) * weave.amplitude : 0;
   }
 
   hasLineOfSight() {
@@ -81,16 +289,9 @@ export class Enemy {
       return this.lineOfSightCache;
     }
 
-    const dx = this.scene.player.x - this.x;
-    const dy = this.scene.player.y - this.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-
-    // Cast ray from enemy to player to check for walls
-    const angle = Math.atan2(dy, dx);
-    const rayDistance = this.scene.engine.physics.castRay(this.x, this.y, angle, distance + 1);
-
-    // Cache the result
-    this.lineOfSightCache = rayDistance >= distance;
+    // Cast ray from enemy to player to check for walls, and cache the result
+    const player = this.scene.player;
+    this.lineOfSightCache = this.scene.engine.physics.hasLineOfSight(this.x, this.y, player.x, player.y);
     this.lineOfSightCacheTime = now;
 
     return this.lineOfSightCache;
@@ -104,28 +305,118 @@ export class Enemy {
       return;
     }
 
-    // Deal damage to player
-    this.scene.player.takeDamage(GAME_CONSTANTS.ENEMY_ATTACK_DAMAGE);
-    if (!this.scene.player.isAlive()) {
+    const { attack } = this.definition;
+    const player = this.scene.player;
+    this.playAnimation('attack');
+
+    if (attack.style === 'projectile') {
+      const angle = Math.atan2(player.y - this.y, player.x - this.x);
+      this.scene.spawnProjectile(
+        this.x + Math.cos(angle) * this.size / 2,
+        this.y + Math.sin(angle) * this.size / 2,
+        angle,
+        attack.projectile,
+        { owner: 'enemy', source: this, damage: attack.damage, range: attack.range * 1.5 }
+      );
+      return;
+    }
+
+    // Deal damage to player, unless the shot stops at glass in between
+    if (!this.scene.engine.physics.hasLineOfSight(this.x, this.y, player.x, player.y, BLOCKS.BULLETS)) {
+      return;
+    }
+    player.takeDamage(attack.damage);
+    if (!player.isAlive()) {
       this.scene.gameState = 'gameOver';
     }
   }
 
   takeDamage(damage) {
+    if (this.ai.current === 'dead') return;
+
     this.health -= damage;
     if (this.health <= 0) {
-      // Enemy dies
-      if (this.scene) {
-        this.scene.enemies = this.scene.enemies.filter(e => e !== this);
-        this.scene.score += GAME_CONSTANTS.SCORE_PER_ENEMY;
-        this.scene.player.ammo = Math.min(this.scene.player.ammo + GAME_CONSTANTS.AMMO_DROP, GAME_CONSTANTS.MAX_AMMO); // Drop ammo
+      // Enemy dies, leaving its corpse in the scene
+      this.ai.transition('dead');
+      this.stopListening();
+      const scene = this.scene;
+      if (scene) {
+        const { score, drop } = this.definition;
+        scene.enemies = scene.enemies.filter(e => e !== this);
+        scene.corpses.push(this);
+        scene.score += score;
+        if (drop) {
+          scene.dropPickup(this.x, this.y, drop.type, { amount: drop.amount });
+        }
 
         // Check if level is complete
-        if (this.scene.enemies.length === 0) {
-          this.scene.nextLevel();
+        if (scene.enemies.length === 0) {
+          scene.nextLevel();
         }
       }
+      return;
+    }
+
+    // Getting shot gives the player away
+    if (this.scene?.player) {
+      this.rememberPlayer();
     }
+    if (Math.random() < this.definition.painChance) {
+      this.ai.transition('pain');
+    } else if (this.ai.isIn('calm')) {
+      this.ai.transition('alert');
+    } else if (this.ai.current === 'search') {
+      this.path = null;
+    }
+  }
+
+  /**
+   * Projectile hitbox, moved to where the enemy is now
+   */
+  getHitbox() {
+    this.hitbox.transform.setPosition(this.x, this.y);
+    return this.hitbox;
+  }
+
+  /**
+   * Start an animation from its first frame
+   */
+  playAnimation(name) {
+    this.animation = name;
+    this.sprite.playAnimation(name);
+  }
+
+  /**
+   * Pick the animation for the AI state: death and pain follow the state,
+   * otherwise walk while moving and stand idle. One-shot animations (e.g.
+   * an attack) play out first.
+   */
+  updateAnimation(moved) {
+    const state = this.ai.current;
+    const next = state === 'dead' ? 'death' : state === 'pain' ? 'pain' : moved ? 'walk' : 'idle';
+    if (next === this.animation) return;
+    if (ONE_SHOT_ANIMATIONS.includes(this.animation) && this.sprite.isPlaying()) return;
+    this.playAnimation(next);
+  }
+
+  /**
+   * Describe how the renderer should draw this enemy; `rotations` holds the
+   * current frame from every side and `angle` lets the renderer pick one
+   */
+  getBillboard() {
+    const [r, g, b] = this.definition.sprite.color;
+    const alive = this.ai.current !== 'dead';
+    return {
+      x: this.x,
+      y: this.y,
+      size: this.size,
+      width: this.definition.width,
+      elevation: alive ? this.definition.elevation || 0 : 0,
+      angle: this.angle,
+      rotations: this.sprite.texture,
+      color: `rgb(${r}, ${g}, ${b})`,
+      healthPercent: alive ? this.health / this.definition.health : undefined
+    };
   }
 
   render(renderer) {
@@ -0,0 +1,217 @@
+import { GAME_CONSTANTS } from './Constants.js';
+
+// Enemy AI
+//
+// Behaviour is a hierarchical state machine (ecs/StateMachine.js):
+//
+//   calm    idle, patrol               unaware of the player
+//   alert                              reacting to a sighting or a noise
+//   hunt    chase, attack, search, flee
+//   pain                               staggered by a hit
+//   dead
+//
+// Enemies see the player inside a view cone with a clear line of sight, and
+// notice them anyway when they get very close. Gunshots reach them as
+// `Signals.NOISE` through the scene's SignalManager, and an enemy that
+// becomes alert shouts `Signals.ENEMY_ALERTED` to allies nearby.
+
+export const ENEMY_AI_STATES = {
+  calm: {
+    update(enemy) {
+      if (canSeePlayer(enemy)) {
+        enemy.rememberPlayer();
+        return 'alert';
+      }
+      return null;
+    }
+  },
+
+  idle: {
+    parent: 'calm',
+    update(enemy, deltaTime) {
+      if (enemy.patrol.length > 0) return 'patrol';
+      enemy.wander(deltaTime);
+      return null;
+    }
+  },
+
+  patrol: {
+    parent: 'calm',
+    update(enemy, deltaTime) {
+      const waypoint = enemy.patrol[enemy.patrolIndex];
+      if (enemy.navigateTo(waypoint.x, waypoint.y, enemy.speed * 0.6, deltaTime)) {
+        enemy.patrolIndex = (enemy.patrolIndex + 1) % enemy.patrol.length;
+      }
+      return null;
+    }
+  },
+
+  // Turn towards whatever was noticed, then give chase or go looking
+  alert: {
+    enter(enemy, data) {
+      enemy.path = null;
+      if (enemy.lastKnownPosition) {
+        enemy.faceTowards(enemy.lastKnownPosition.x, enemy.lastKnownPosition.y);
+      }
+      if (!data || data.shout !== false) {
+        enemy.shout();
+      }
+    },
+    update(enemy, deltaTime, machine) {
+      if (machine.stateTime < GAME_CONSTANTS.ENEMY_REACTION_TIME) return null;
+      return canSeePlayer(enemy) ? 'chase' : 'search';
+    }
+  },
+
+  hunt: {
+    update(enemy) {
+      if (canSeePlayer(enemy)) {
+        enemy.rememberPlayer();
+      }
+      return shouldFlee(enemy) ? 'flee' : null;
+    }
+  },
+
+  chase: {
+    parent: 'hunt',
+    update(enemy, deltaTime) {
+      if (!canSeePlayer(enemy)) return 'search';
+
+      const distance = enemy.distanceToPlayer();
+      if (distance <= enemy.definition.attack.range) return 'attack';
+
+      enemy.faceTowards(enemy.scene.player.x, enemy.scene.player.y);
+      enemy.pursue(enemy.angle + enemy.getWeaveOffset(), enemy.getChaseSpeed(distance), deltaTime);
+      return null;
+    }
+  },
+
+  attack: {
+    parent: 'hunt',
+    update(enemy, deltaTime) {
+      if (!canSeePlayer(enemy)) return 'search';
+
+      const { attack } = enemy.definition;
+      const distance = enemy.distanceToPlayer();
+      if (distance > attack.range) return 'chase';
+
+      enemy.faceTowards(enemy.scene.player.x, enemy.scene.player.y);
+      if (attack.style === 'projectile' && distance > attack.keepDistance) {
+        // Close in while firing
+        enemy.pursue(enemy.angle, enemy.speed, deltaTime);
+      } else if (attack.style === 'projectile' && distance < attack.keepDistance / 2) {
+        // Back off when the player gets too close
+        enemy.moveTowards(enemy.angle + Math.PI, enemy.speed, deltaTime);
+      }
+
+      if (Date.now() - enemy.lastAttack > enemy.attackCooldown) {
+        enemy.attackPlayer();
+        enemy.lastAttack = Date.now();
+      }
+      return null;
+    }
+  },
+
+  // Walk to where the player was last seen, look around, then give up
+  search: {
+    parent: 'hunt',
+    enter(enemy) {
+      enemy.searchTimer = 0;
+    },
+    update(enemy, deltaTime) {
+      if (canSeePlayer(enemy)) return 'chase';
+
+      if (enemy.lastKnownPosition) {
+        const { x, y } = enemy.lastKnownPosition;
+        if (enemy.navigateTo(x, y, enemy.speed, deltaTime)) {
+          enemy.lastKnownPosition = null;
+        }
+        return null;
+      }
+
+      enemy.searchTimer += deltaTime;
+      enemy.angle += deltaTime * 0.003;
+      if (enemy.searchTimer >= GAME_CONSTANTS.ENEMY_SEARCH_TIME) {
+        return enemy.patrol.length > 0 ? 'patrol' : 'idle';
+      }
+      return null;
+    }
+  },
+
+  // Run from the player for a while, then turn and fight
+  flee: {
+    parent: 'hunt',
+    enter(enemy) {
+      enemy.hasFled = true;
+      enemy.path = null;
+    },
+    update(enemy, deltaTime, machine) {
+      if (machine.stateTime >= GAME_CONSTANTS.ENEMY_FLEE_TIME) {
+        return canSeePlayer(enemy) ? 'chase' : 'search';
+      }
+
+      const player = enemy.scene.player;
+      const away = Math.atan2(enemy.y - player.y, enemy.x - player.x);
+      if (!enemy.moveTowards(away, enemy.speed * 1.2, deltaTime)) {
+        // Cornered: try to slip along the wall instead
+        enemy.moveTowards(away + (Math.random() < 0.5 ? 1 : -1) * Math.PI / 2, enemy.speed, deltaTime);
+      }
+      enemy.angle = away;
+      return null;
+    }
+  },
+
+  pain: {
+    enter(enemy) {
+      enemy.path = null;
+      enemy.playAnimation('pain');
+    },
+    update(enemy, deltaTime, machine) {
+      // A hit ends any running away too
+      if (machine.stateTime < enemy.definition.painTime) return null;
+      return canSeePlayer(enemy) ? 'chase' : 'search';
+    }
+  },
+
+  dead: {
+    enter(enemy) {
+      enemy.path = null;
+      enemy.playAnimation('death');
+      enemy.scene?.engine?.pathfinding.cancelRequest(enemy);
+    }
+  }
+};
+
+/**
+ * Whether an enemy can see the player: in the view cone with a clear line
+ * of sight, or close enough to notice from any angle
+ */
+export function canSeePlayer(enemy) {
+  const player = enemy.scene.player;
+  const distance = enemy.distanceToPlayer();
+  if (distance > GAME_CONSTANTS.ENEMY_VIEW_DISTANCE) return false;
+
+  if (distance > GAME_CONSTANTS.ENEMY_SENSE_RADIUS) {
+    const toPlayer = Math.atan2(player.y - enemy.y, player.x - enemy.x);
+    const offset = Math.abs(Math.atan2(Math.sin(toPlayer - enemy.angle), Math.cos(toPlayer - enemy.angle)));
+    if (offset > GAME_CONSTANTS.ENEMY_VIEW_ANGLE / 2) return false;
+  }
+
+  return enemy.hasLineOfSight();
+}
+
+/**
+ * Whether an enemy hears a noise ({ x, y, radius }); walls halve the range
+ */
+export function canHearNoise(enemy, noise) {
+  const distance = Math.hypot(noise.x - enemy.x, noise.y - enemy.y);
+  if (distance > noise.radius) return false;
+  if (distance <= noise.radius / 2) return true;
+  return enemy.scene.engine.physics.hasLineOfSight(enemy.x, enemy.y, noise.x, noise.y);
+}
+
+// Types run once when badly hurt (`fleeHealth` is the share of health left)
+function shouldFlee(enemy) {
+  const { fleeHealth } = enemy.definition;
+  return fleeHealth > 0 && !enemy.hasFled && enemy.health <= enemy.definition.health * fleeHealth;
+}
@@ -0,0 +1,294 @@
+import { GAME_CONSTANTS } from './Constants.js';
+import { Texture, createCanvas, TEXTURE_SIZE } from './core/Texture.js';
+import { SpriteComponent } from './ecs/SpriteComponent.js';
+
+// Enemy archetypes
+//
+// Levels pick a type per spawn with `type` (default 'grunt'). `attack.style`
+// is 'melee' (hit when within `range`) or 'projectile' (fire the
+// `projectile` type from Projectile.js when within `range`, keeping
+// `keepDistance` cells away). `charge` makes an enemy speed up once it is
+// that close, `weave` makes it zig-zag while chasing, and `elevation` lifts
+// the sprite off the floor (in wall heights).
+// `painChance` is how likely a hit is to stagger it for `painTime` ms, and
+// `fleeHealth` the share of health left at which it runs off once (0 never).
+
+export const ENEMY_TYPES = {
+  grunt: {
+    name: 'Grunt',
+    health: GAME_CONSTANTS.ENEMY_HEALTH,
+    speed: GAME_CONSTANTS.ENEMY_SPEED,
+    size: GAME_CONSTANTS.ENEMY_SIZE,
+    width: 0.5,
+    score: GAME_CONSTANTS.SCORE_PER_ENEMY,
+    drop: { type: 'ammo', amount: GAME_CONSTANTS.AMMO_DROP },
+    painChance: 0.5,
+    painTime: 200,
+    fleeHealth: 0.25,
+    attack: { style: 'melee', range: 1, damage: GAME_CONSTANTS.ENEMY_ATTACK_DAMAGE, cooldown: GAME_CONSTANTS.ENEMY_ATTACK_COOLDOWN },
+    sprite: { shape: 'humanoid', color: [255, 136, 136] }
+  },
+  rusher: {
+    name: 'Rusher',
+    health: 60,
+    speed: 0.045,
+    size: 0.45,
+    width: 0.6,
+    score: 100,
+    drop: null,
+    painChance: 0.3,
+    painTime: 150,
+    fleeHealth: 0,
+    charge: { range: 5, speedMultiplier: 1.8 },
+    attack: { style: 'melee', range: 0.9, damage: 8, cooldown: 600 },
+    sprite: { shape: 'beast', color: [200, 90, 40] },
+    animations: { walk: { frames: 2, frameTime: 140 } }
+  },
+  shooter: {
+    name: 'Shooter',
+    health: 80,
+    speed: 0.025,
+    size: 0.5,
+    width: 0.5,
+    score: 150,
+    drop: { type: 'ammo', amount: GAME_CONSTANTS.AMMO_DROP * 2 },
+    painChance: 0.6,
+    painTime: 250,
+    fleeHealth: 0.3,
+    attack: {
+      style: 'projectile',
+      range: 9,
+      keepDistance: 4,
+      damage: 12,
+      cooldown: 1800,
+      projectile: 'plasma'
+    },
+    sprite: { shape: 'humanoid', color: [110, 150, 220] }
+  },
+  tank: {
+    name: 'Tank',
+    health: 300,
+    speed: 0.015,
+    size: 0.75,
+    width: 0.8,
+    score: 300,
+    drop: { type: 'shells', amount: 4 },
+    painChance: 0.1,
+    painTime: 300,
+    fleeHealth: 0,
+    attack: { style: 'melee', range: 1.3, damage: 25, cooldown: 1600 },
+    sprite: { shape: 'hulk', color: [120, 130, 90] },
+    animations: { walk: { frames: 2, frameTime: 400 }, attack: { frames: 2, frameTime: 250 } }
+  },
+  flyer: {
+    name: 'Flyer',
+    health: 40,
+    speed: 0.05,
+    size: 0.35,
+    width: 1,
+    elevation: 0.35,
+    score: 120,
+    drop: null,
+    painChance: 0.8,
+    painTime: 150,
+    fleeHealth: 0.2,
+    weave: { amplitude: 0.6, period: 900 },
+    attack: { style: 'melee', range: 1, damage: 6, cooldown: 700 },
+    sprite: { shape: 'floater', color: [170, 90, 200] },
+    animations: { idle: { frames: 2, frameTime: 200 }, walk: { frames: 2, frameTime: 120 } }
+  }
+};
+
+export const DEFAULT_ENEMY_TYPE = 'grunt';
+
+// Animation frame counts and timing (ms); types override single entries.
+// 'attack', 'pain' and 'death' play once, the others loop.
+const DEFAULT_ANIMATIONS = {
+  idle: { frames: 1, frameTime: 0 },
+  walk: { frames: 2, frameTime: 250 },
+  attack: { frames: 2, frameTime: 150 },
+  pain: { frames: 1, frameTime: 200 },
+  death: { frames: 3, frameTime: 150 }
+};
+
+export const ONE_SHOT_ANIMATIONS = ['attack', 'pain', 'death'];
+
+/**
+ * Animation timing for an enemy type
+ */
+export function getEnemyAnimation(type, name) {
+  return (type.animations && type.animations[name]) || DEFAULT_ANIMATIONS[name] || DEFAULT_ANIMATIONS.idle;
+}
+
+// Sprite sheets
+//
+// Each type gets a procedural sheet with a column per rotation and a row
+// per animation frame. Rotation 0 faces the viewer and each step goes 45
+// degrees further round (the viewer moving to the enemy's right); 5-7 are
+// mirrored copies of 3-1. A frame is handed to the enemy's SpriteComponent
+// as its list of 8 regions ({ source, x, y, width, height }), and the
+// renderer picks the one facing the player.
+
+export const SPRITE_ROTATIONS = 8;
+
+const sheetCache = new Map(); // type id -> { texture, frames }
+
+/**
+ * Sprite sheet for an enemy type (cached)
+ *
+ * Returns { texture, frames } where frames maps each animation to a list
+ * of frames, each a list of SPRITE_ROTATIONS regions of the sheet.
+ */
+export function getEnemySpriteSheet(typeId) {
+  let sheet = sheetCache.get(typeId);
+  if (sheet) return sheet;
+
+  const type = ENEMY_TYPES[typeId];
+  const cellWidth = Math.max(8, Math.round(TEXTURE_SIZE * type.width));
+  const cellHeight = TEXTURE_SIZE;
+  const names = Object.keys(DEFAULT_ANIMATIONS);
+  const rows = names.reduce((sum, name) => sum + getEnemyAnimation(type, name).frames, 0);
+  const canvas = createCanvas(cellWidth * SPRITE_ROTATIONS, cellHeight * rows);
+  const ctx = canvas.getContext('2d');
+  const frames = {};
+  let row = 0;
+
+  for (const name of names) {
+    frames[name] = [];
+    for (let frame = 0; frame < getEnemyAnimation(type, name).frames; frame++, row++) {
+      const regions = [];
+      for (let rotation = 0; rotation < SPRITE_ROTATIONS; rotation++) {
+        const x = rotation * cellWidth;
+        const y = row * cellHeight;
+        ctx.save();
+        ctx.translate(x, y);
+        if (rotation > SPRITE_ROTATIONS / 2) {
+          ctx.translate(cellWidth, 0);
+          ctx.scale(-1, 1);
+        }
+        const view = Math.min(rotation, SPRITE_ROTATIONS - rotation);
+        drawEnemyFrame(ctx, type.sprite, name, frame, view, cellWidth, cellHeight);
+        ctx.restore();
+        regions.push({ source: canvas, x, y, width: cellWidth, height: cellHeight });
+      }
+      frames[name].push(regions);
+    }
+  }
+
+  sheet = { texture: new Texture(canvas, { color: type.sprite.color, name: `${typeId} sprites` }), frames };
+  sheetCache.set(typeId, sheet);
+  return sheet;
+}
+
+/**
+ * SpriteComponent with every animation of an enemy type added
+ */
+export function createEnemySprite(typeId) {
+  const type = ENEMY_TYPES[typeId];
+  const { texture, frames } = getEnemySpriteSheet(typeId);
+  const sprite = new SpriteComponent(texture, { width: texture.width / SPRITE_ROTATIONS, height: TEXTURE_SIZE });
+
+  for (const [name, animationFrames] of Object.entries(frames)) {
+    const { frameTime } = getEnemyAnimation(type, name);
+    sprite.addAnimation(name, animationFrames, frameTime || 1000, { loop: !ONE_SHOT_ANIMATIONS.includes(name) });
+  }
+  return sprite;
+}
+
+/**
+ * Draw one frame of an enemy sprite on a transparent canvas
+ *
+ * `view` is the rotation folded onto 0 (front) to 4 (back); the sheet
+ * mirrors the other side.
+ */
+function drawEnemyFrame(ctx, sprite, animation, frame, view, width, height) {
+  const { shape, color } = sprite;
+  const flash = animation === 'pain' ? 1.6 : 1;
+  const tone = (factor) => {
+    const f = factor * flash;
+    return `rgb(${Math.min(255, Math.floor(color[0] * f))}, ${Math.min(255, Math.floor(color[1] * f))}, ${Math.min(255, Math.floor(color[2] * f))})`;
+  };
+
+  // Turning side-on narrows the body and slides the face round; from
+  // behind the face is hidden
+  const squeeze = [1, 0.85, 0.65, 0.85, 1][view];
+  const turn = [0, 1.5, 3, 0, 0][view];
+  const facingAway = view >= 3;
+
+  // Units of 1/16th of the frame, measured from the bottom centre
+  const ux = (width / 16) * squeeze;
+  const uy = height / 16;
+  const rect = (x, y, w, h, factor = 1) => {
+    ctx.fillStyle = typeof factor === 'string' ? factor : tone(factor);
+    ctx.fillRect(width / 2 + x * ux, height - y * uy, w * ux, h * uy);
+  };
+  const face = (x, y, w, h, factor) => {
+    if (!facingAway) rect(x + turn, y, w, h, factor);
+  };
+  const stride = animation === 'walk' && frame % 2 === 1 ? 1 : 0;
+  const striking = animation === 'attack' && frame === 0;
+
+  // Dying: the body slumps a little more each frame into a pool of blood
+  if (animation === 'death') {
+    const slump = [0.7, 0.4, 0.2][Math.min(frame, 2)];
+    if (frame > 0) {
+      ctx.fillStyle = 'rgb(110, 0, 0)';
+      ctx.fillRect(width * 0.1, height - uy * (frame === 1 ? 1 : 1.5), width * 0.8, uy * (frame === 1 ? 1 : 1.5));
+    }
+    ctx.translate(width / 2, height);
+    ctx.scale(1 + (1 - slump) * 0.5, slump);
+    ctx.translate(-width / 2, -height);
+  }
+
+  switch (shape) {
+    case 'humanoid':
+      rect(-3, 4 + stride, 2, 4 + stride, 0.6); // Legs
+      rect(1, 5 - stride, 2, 5 - stride, 0.6);
+      rect(-4, 10, 8, 6, 1); // Torso
+      rect(-2, 13, 4, 3, 1.15); // Head
+      face(-1, 12, 2, 1, '#200');
+      if (striking) {
+        rect(-7, 12, 3, 2, 0.8); // Arms forward
+        rect(4, 12, 3, 2, 0.8);
+        face(-1, 12, 2, 1, '#ff0');
+      } else {
+        rect(-6, 10, 2, 5, 0.8);
+        rect(4, 10, 2, 5, 0.8);
+      }
+      break;
+    case 'beast':
+      rect(-7, 3 + stride, 2, 3 + stride, 0.6);
+      rect(-2, 3 - stride, 2, 3 - stride, 0.6);
+      rect(2, 3 + stride, 2, 3 + stride, 0.6);
+      rect(5, 3 - stride, 2, 3 - stride, 0.6);
+      rect(-8, 8, 16, 5, 1); // Hunched body
+      rect(-4 + turn, 10, 8, 4, 1.2); // Head
+      rect(-5 + turn, 11, 2, 3, 1.4); // Horns
+      rect(3 + turn, 11, 2, 3, 1.4);
+      face(-3, striking ? 8 : 7, 6, striking ? 2 : 1, '#fff'); // Teeth
+      break;
+    case 'hulk':
+      rect(-6, 5, 4, 5, 0.55);
+      rect(2, 5, 4, 5, 0.55);
+      rect(-8, 12, 16, 8, 1); // Wide body
+      rect(-3, 14, 6, 3, 0.9);
+      face(-2, 13, 1, 1, '#f00');
+      face(1, 13, 1, 1, '#f00');
+      rect(-8, striking ? 15 : 11, 3, 6, 0.75); // Fists
+      rect(5, striking ? 15 : 11, 3, 6, 0.75);
+      break;
+    case 'floater': {
+      const bob = frame % 2 === 1 ? 1 : 0;
+      rect(-6, 13 - bob, 12, 10, 1); // Body
+      rect(-7, 11 - bob, 14, 6, 0.85);
+      face(-2, 11 - bob, 4, 3, '#fff'); // Eye
+      face(-1, 10 - bob, 2, 1, striking ? '#f00' : '#000');
+      rect(-4, 3 - bob, 2, 2, 0.6); // Tentacles
+      rect(2, 3 - bob, 2, 2, 0.6);
+      break;
+    }
+    default:
+      rect(-6, 16, 12, 16, 1);
+      break;
+  }
+}
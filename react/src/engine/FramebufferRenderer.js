@@ -0,0 +1,282 @@
+import { GAME_CONSTANTS } from './Constants.js';
+import { Renderer, FLOOR_COLOR, CEILING_COLOR, FULL_WALL } from './Renderer.js';
+import { HIT_SIDE } from './core/Raycaster.js';
+import { getTileTexture, isSeeThroughTile } from './Tiles.js';
+
+// Pixel buffer back end for the Renderer
+//
+// Walls, floors, ceilings and sprites are written straight into a reused
+// Uint32Array framebuffer (packed ABGR, like the floor surface) and blitted
+// with one putImageData per frame, instead of a drawImage or fillRect per
+// column. Walls get one ray per pixel column of the internal resolution
+// (see core/ResolutionScaler.js). Health bars, the muzzle flash and
+// overlays are still drawn on the canvas after the blit.
+//
+// Select it with the `renderer: 'framebuffer'` engine option.
+
+// Untextured walls, as drawn by the canvas back end
+const WALL_COLOR = 0xff7fccff;
+
+// Sprite and see-through wall texels with less alpha than this are skipped
+const ALPHA_CUTOFF = 128;
+
+export class FramebufferRenderer extends Renderer {
+  constructor(canvas, engine) {
+    super(canvas, engine);
+    this.frame = null;
+    this.sourcePixels = new WeakMap(); // sprite sheet canvas -> packed pixels
+    this.colors = new Map(); // CSS colour -> packed pixel
+    this.healthBars = [];
+  }
+
+  render(scene) {
+    if (!scene || !this.ctx) {
+      return;
+    }
+
+    this.updateSize(scene);
+    const view = this.beginView();
+    this.updateCamera(scene.player);
+    this.getFrame();
+    this.healthBars.length = 0;
+
+    this.renderBackground(scene);
+    this.renderScene(scene);
+    this.ctx.putImageData(this.frame.imageData, 0, 0);
+
+    for (const bar of this.healthBars) {
+      super.renderHealthBar(...bar);
+    }
+    this.endView(view);
+
+    this.renderMuzzleFlash();
+    this.renderGameStateOverlays(scene);
+    this.renderCrosshair();
+  }
+
+  /**
+   * Get the framebuffer, resized to the internal resolution
+   */
+  getFrame() {
+    if (!this.frame || this.frame.width !== this.width || this.frame.height !== this.height) {
+      const imageData = this.ctx.createImageData(this.width, this.height);
+      this.frame = {
+        width: this.width,
+        height: this.height,
+        imageData,
+        pixels: new Uint32Array(imageData.data.buffer)
+      };
+    }
+    return this.frame;
+  }
+
+  /**
+   * One ray per pixel column (width is already the internal resolution)
+   */
+  getEffectiveRayCount() {
+    return this.width;
+  }
+
+  renderBackground(scene) {
+    const { pixels, width, height } = this.frame;
+
+    if (this.hasTexturedSurfaces(scene) && scene.player) {
+      this.castFloorAndCeiling(scene, pixels, width, height, 1);
+      return;
+    }
+
+    const horizon = Math.min(height, Math.max(0, Math.floor(this.camera.horizon))) * width;
+    pixels.fill(CEILING_COLOR, 0, horizon);
+    pixels.fill(FLOOR_COLOR, horizon);
+  }
+
+  renderWallColumn(x, distance, hit, rayCount, light, span = FULL_WALL) {
+    const { pixels, width, height } = this.frame;
+    const left = Math.floor((x * width) / rayCount);
+    const right = Math.floor(((x + 1) * width) / rayCount);
+    const wallTop = this.projectHeight(span.top, distance);
+    const rowsPerUnit = height / distance;
+    const top = Math.max(0, Math.ceil(wallTop));
+    const bottom = Math.min(height, Math.ceil(Math.min(this.projectHeight(span.bottom, distance), span.clipBottom)));
+
+    // North/south faces slightly darker so corners read clearly
+    const sideShade = hit.side === HIT_SIDE.NORTH || hit.side === HIT_SIDE.SOUTH ? 0.85 : 1;
+    const shading = this.getShading(light * sideShade, this.getFog(distance));
+
+    const texture = this.wallTextures.get(getTileTexture(hit.tile));
+    if (!texture) {
+      const color = shadePixel(WALL_COLOR, shading);
+      for (let y = top; y < bottom; y++) {
+        pixels.fill(color, y * width + left, y * width + right);
+      }
+      return;
+    }
+
+    // Step through the texture column from the (possibly off-screen) top.
+    // Repeats count up from the bottom, so a partial one sits at the top.
+    // See-through walls skip their transparent texels.
+    const masked = isSeeThroughTile(hit.tile);
+    const texels = texture.getPixels32();
+    const column = texture.getColumn(hit.textureX);
+    const step = texture.height / rowsPerUnit;
+    const faceHeight = span.top - span.bottom;
+    let textureY = (top - wallTop) * step + (Math.ceil(faceHeight) - faceHeight) * texture.height;
+
+    for (let y = top; y < bottom; y++, textureY += step) {
+      const row = Math.floor(textureY) % texture.height;
+      const texel = texels[row * texture.width + column];
+      if (masked && (texel >>> 24) < ALPHA_CUTOFF) continue;
+      const color = shadePixel(texel, shading);
+      const offset = y * width;
+      for (let px = left; px < right; px++) {
+        pixels[offset + px] = color;
+      }
+    }
+  }
+
+  renderLid(x, rayCount, top, bottom, textureId, light, fog) {
+    const { pixels, width } = this.frame;
+    const left = Math.floor((x * width) / rayCount);
+    const right = Math.floor(((x + 1) * width) / rayCount);
+    const [red, green, blue] = this.getLidColor(textureId);
+    const color = shadePixel((0xff000000 | (blue << 16) | (green << 8) | red) >>> 0, this.getShading(light, fog));
+
+    for (let y = Math.ceil(top); y < Math.ceil(bottom); y++) {
+      pixels.fill(color, y * width + left, y * width + right);
+    }
+  }
+
+  renderSprite(billboard, texture, depth, angle, fov, rayCount) {
+    const { pixels, width, height } = this.frame;
+    const sprite = this.projectSprite(billboard, depth, angle, fov);
+    const left = Math.max(0, Math.ceil(sprite.left));
+    const right = Math.min(width, Math.ceil(sprite.left + sprite.width));
+    const top = Math.max(0, Math.ceil(sprite.top));
+    const bottom = Math.min(height, Math.ceil(sprite.top + sprite.height));
+    if (left >= right || top >= bottom) return;
+
+    // One light level and fog amount for the whole sprite
+    const light = billboard.fullbright ? 1 : this.getLight(billboard.x, billboard.y);
+    const shading = this.getShading(light, this.getFog(depth));
+    const columnScale = rayCount / width;
+
+    if (!texture) {
+      const color = shadePixel(this.getColor(billboard.color), shading);
+      for (let px = left; px < right; px++) {
+        const column = Math.floor(px * columnScale);
+        if (depth >= this.depthBuffer[column]) continue;
+        const columnBottom = Math.min(bottom, Math.ceil(this.getSpriteClip(column, depth)));
+        for (let y = top; y < columnBottom; y++) {
+          pixels[y * width + px] = color;
+        }
+      }
+      this.renderSpriteHealthBar(billboard, sprite, depth, rayCount);
+      return;
+    }
+
+    const source = this.getSourcePixels(texture);
+    const textureX = texture.x || 0;
+    const textureY = texture.y || 0;
+    const scaleX = texture.width / sprite.width;
+    const scaleY = texture.height / sprite.height;
+
+    // Column by column, skipping columns where a wall is closer and
+    // stopping at low walls and raised floors in front
+    for (let px = left; px < right; px++) {
+      const screenColumn = Math.floor(px * columnScale);
+      if (depth >= this.depthBuffer[screenColumn]) continue;
+      const columnBottom = Math.min(bottom, Math.ceil(this.getSpriteClip(screenColumn, depth)));
+
+      const column = textureX + Math.min(texture.width - 1, Math.floor((px - sprite.left) * scaleX));
+      for (let y = top; y < columnBottom; y++) {
+        const row = textureY + Math.min(texture.height - 1, Math.floor((y - sprite.top) * scaleY));
+        const texel = source.pixels[row * source.width + column];
+        if ((texel >>> 24) < ALPHA_CUTOFF) continue;
+        pixels[y * width + px] = shadePixel(texel, shading);
+      }
+    }
+
+    this.renderSpriteHealthBar(billboard, sprite, depth, rayCount);
+  }
+
+  /**
+   * Queue health bars until after the framebuffer is blitted
+   */
+  renderHealthBar(...bar) {
+    this.healthBars.push(bar);
+  }
+
+  /**
+   * Light and fog as integer factors for shadePixel
+   */
+  getShading(light, fog) {
+    const [fogRed, fogGreen, fogBlue] = this.getFogColor();
+    return {
+      light: Math.floor(Math.min(1, light) * (1 - fog) * 256),
+      red: Math.floor(fogRed * fog),
+      green: Math.floor(fogGreen * fog),
+      blue: Math.floor(fogBlue * fog)
+    };
+  }
+
+  /**
+   * Packed pixels of a texture or sheet region's source ({ pixels, width })
+   *
+   * Sheets are read back once; they are drawn when created and never change.
+   */
+  getSourcePixels(texture) {
+    if (texture.getPixels32) {
+      return { pixels: texture.getPixels32(), width: texture.width };
+    }
+
+    let source = this.sourcePixels.get(texture.source);
+    if (!source) {
+      const { width, height } = texture.source;
+      const data = texture.source.getContext('2d').getImageData(0, 0, width, height).data;
+      source = { pixels: new Uint32Array(data.buffer, data.byteOffset, width * height), width };
+      this.sourcePixels.set(texture.source, source);
+    }
+    return source;
+  }
+
+  /**
+   * Packed pixel for a billboard colour ('#rgb', '#rrggbb' or 'rgb(r, g, b)')
+   */
+  getColor(css) {
+    let color = this.colors.get(css);
+    if (color === undefined) {
+      color = parseColor(css) ?? parseColor(GAME_CONSTANTS.ENEMY_COLOR_IDLE);
+      this.colors.set(css, color);
+    }
+    return color;
+  }
+}
+
+// Darken a packed ABGR pixel and add the fog colour
+function shadePixel(color, shading) {
+  const { light } = shading;
+  const r = (((color & 0xff) * light) >> 8) + shading.red;
+  const g = ((((color >> 8) & 0xff) * light) >> 8) + shading.green;
+  const b = ((((color >> 16) & 0xff) * light) >> 8) + shading.blue;
+  return (0xff000000 | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+// Packed pixel for a CSS colour, or null when the format isn't supported
+function parseColor(css) {
+  let r;
+  let g;
+  let b;
+  const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/.exec(css || '');
+
+  if (rgb) {
+    [r, g, b] = [rgb[1], rgb[2], rgb[3]].map(Number);
+  } else if (/^#[0-9a-f]{3}$/i.test(css)) {
+    [r, g, b] = [1, 2, 3].map(i => parseInt(css[i] + css[i], 16));
+  } else if (/^#[0-9a-f]{6}$/i.test(css)) {
+    [r, g, b] = [1, 3, 5].map(i => parseInt(css.slice(i, i + 2), 16));
+  } else {
+    return null;
+  }
+
+  return (0xff000000 | (b << 16) | (g << 8) | r) >>> 0;
+}
@@ -5,6 +5,7 @@ import { LevelManager } from './Level.js';
 import { Renderer } from './Renderer.js';
 import { InputHandler } from './InputHandler.js';
 import { GameState } from './GameState.js';
+import { castRay } from './core/Raycaster.js';
 
 export class GameEngine {
   constructor(canvas, setGameStateCallback) {
@@ -101,26 +102,7 @@ export class GameEngine {
   }
 
   castRay(angle) {
-    const sin = Math.sin(angle);
-    const cos = Math.cos(angle);
-    let x = this.player.x;
-    let y = this.player.y;
-
-    for (let depth = 0; depth < this.maxDepth; depth += 0.1) {
-      const testX = Math.floor(x);
-      const testY = Math.floor(y);
-
-      if (testX < 0 || testX >= this.mapWidth ||
-          testY < 0 || testY >= this.mapHeight ||
-          this.map[testY][testX] === 1) {
-        return depth;
-      }
-
-      x += cos * 0.1;
-      y += sin * 0.1;
-    }
-
-    return this.maxDepth;
+    return castRay(this.map, this.player.x, this.player.y, angle, this.maxDepth).distance;
   }
 
   isValidPosition(x, y) {
@@ -0,0 +1,86 @@
+import { GAME_CONSTANTS } from './Constants.js';
+
+// Floor and wall heights for a level
+//
+// Every cell is a solid column from the ground up to its top: open cells to
+// their floor height (0 unless the level raises it with `floorHeight`) and
+// wall cells, doors and pushwalls to their floor height plus their wall
+// height (1 unless set with `wallHeight`). Heights are in wall heights. The
+// renderer draws raised floors and walls of any height by carrying rays on
+// past anything low enough to see over, and physics lets movers step up
+// rises of STEP_HEIGHT and blocks taller ones.
+//
+// A level without either grid is flat and keeps the single-hit raycaster
+// and the plain wall checks.
+
+export class HeightMap {
+  constructor(map, floorHeight = null, wallHeight = null) {
+    this.height = map.length;
+    this.width = this.height > 0 ? map[0].length : 0;
+    this.floors = new Float32Array(this.width * this.height);
+    this.walls = new Float32Array(this.width * this.height).fill(1);
+    this.flat = true;
+    this.maxTop = 1; // tallest column, for stopping rays early
+
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        const index = y * this.width + x;
+        const floor = (floorHeight && floorHeight[y] && floorHeight[y][x]) || 0;
+        const wall = (wallHeight && wallHeight[y] && wallHeight[y][x]) || 1;
+        this.floors[index] = floor;
+        this.walls[index] = wall;
+        this.flat = this.flat && floor === 0 && wall === 1;
+        this.maxTop = Math.max(this.maxTop, map[y][x] ? floor + wall : floor);
+      }
+    }
+  }
+
+  /**
+   * Rebuild a height map from getSnapshot() (for a renderer in a worker)
+   */
+  static fromSnapshot(snapshot) {
+    return Object.assign(Object.create(HeightMap.prototype), snapshot);
+  }
+
+  /**
+   * Floor height of a cell (0 outside the map)
+   */
+  getFloor(cellX, cellY) {
+    if (cellX < 0 || cellY < 0 || cellX >= this.width || cellY >= this.height) return 0;
+    return this.floors[cellY * this.width + cellX];
+  }
+
+  /**
+   * Top of a wall standing in a cell
+   */
+  getWallTop(cellX, cellY) {
+    if (cellX < 0 || cellY < 0 || cellX >= this.width || cellY >= this.height) return 1;
+    const index = cellY * this.width + cellX;
+    return this.floors[index] + this.walls[index];
+  }
+
+  /**
+   * Floor height under a world position
+   */
+  getFloorHeight(x, y) {
+    return this.getFloor(Math.floor(x), Math.floor(y));
+  }
+
+  /**
+   * Check whether the floor of one cell can be walked up to from another
+   */
+  canStep(fromX, fromY, toX, toY) {
+    return this.getFloor(toX, toY) - this.getFloor(fromX, fromY) <= GAME_CONSTANTS.STEP_HEIGHT;
+  }
+
+  getSnapshot() {
+    return {
+      width: this.width,
+      height: this.height,
+      floors: this.floors,
+      walls: this.walls,
+      flat: this.flat,
+      maxTop: this.maxTop
+    };
+  }
+}
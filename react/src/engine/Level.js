@@ -1,79 +1,218 @@
+import { parseLevel } from './LevelFormat.js';
+import { validateLevel } from './LevelValidator.js';
+import { generateLevel } from './LevelGenerator.js';
+import { GAME_CONSTANTS } from './Constants.js';
+
 // Level definitions and management
+//
+// Map values: 0 is empty floor, 1..N are walls using the texture with that ID
+// (see GAME_CONSTANTS.WALL_TEXTURES), and doors, secret pushwalls and
+// see-through grates, fences and glass use the codes in Tiles.js. A level
+// may override texture entries with its own `textures` table, using
+// { style, color } or { url } definitions.
+//
+// Floors and ceilings use `floorTexture`/`ceilingTexture` as the default
+// texture ID, and optional per-cell `floor`/`ceiling` grids (0 = default).
+// Optional `floorHeight` and `wallHeight` grids raise floors and set how
+// tall walls are (see Heights.js); walls taller than 1 suit levels without
+// a ceiling texture.
+//
+// Lighting: `lightLevel` is the default light level (0-255), an optional
+// per-cell `light` grid overrides it (0 = default), `fog` sets the fog
+// { color, density } and `lightEffects` make rectangles of cells flicker or
+// pulse (see core/LightingSystem.js).
+//
+// `playerStart` is where the player spawns ({ x, y, angle }, angle in
+// radians with 0 facing east and PI / 2 facing south). Enemy spawns may set
+// `type` to one of the archetypes in EnemyTypes.js (default 'grunt') and
+// `patrol` to a list of { x, y } points to walk until they spot the player.
+//
+// More levels can be loaded from JSON files (see LevelFormat.js). Every
+// level is checked by LevelValidator.js; run `npm run validate-levels`.
+//
+// In endless mode, levels past the end of the list are generated from the
+// seed by LevelGenerator.js, getting bigger and harder as the number rises.
+
 export class LevelManager {
-  constructor() {
-    this.levels = this.defineLevels();
+  constructor(options = {}) {
+    this.levels = options.levels || this.defineLevels();
+    this.seed = options.seed ?? GAME_CONSTANTS.LEVEL_SEED;
+    this.endless = options.endless ?? GAME_CONSTANTS.ENDLESS_LEVELS;
+    this.generatedLevels = new Map(); // level number -> generated level
   }
 
   defineLevels() {
     return [
       {
         name: "The UAC Base",
+        playerStart: { x: 6.5, y: 10.5, angle: -Math.PI / 2 },
+        floorTexture: 6,
+        ceilingTexture: 7,
         map: [
-          [1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1],
-          [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-          [1,0,1,1,0,0,0,1,1,0,0,1,1,0,0,1],
-          [1,0,1,0,0,0,0,0,1,0,0,0,1,0,0,1],
-          [1,0,0,0,0,1,0,0,0,0,1,0,0,0,0,1],
-          [1,0,1,0,0,1,0,0,0,0,1,0,0,1,0,1],
-          [1,0,1,1,0,0,0,1,1,0,0,0,1,1,0,1],
-          [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-          [1,0,0,1,1,0,0,0,0,0,0,1,1,0,0,1],
-          [1,0,0,0,1,0,0,1,1,0,0,1,0,0,0,1],
-          [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-          [1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1]
+          [5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5],
+          [5,0,0,0,0,0,0,0,0,0,0,0,0,0,0,5],
+          [5,0,3,3,0,0,0,40,40,0,0,3,3,0,0,5],
+          [5,0,3,0,0,0,0,0,3,0,0,0,3,0,0,5],
+          [5,0,0,0,0,3,0,0,0,0,3,0,0,0,0,5],
+          [5,0,3,0,0,3,0,0,0,0,3,0,0,41,0,5],
+          [5,0,3,3,0,0,0,3,3,0,0,0,3,3,0,5],
+          [5,0,0,0,0,0,0,0,0,0,0,0,0,0,0,5],
+          [5,0,0,3,3,0,0,0,0,0,0,3,3,0,0,5],
+          [5,0,0,0,3,0,0,42,42,20,3,3,0,0,0,5],
+          [5,0,0,0,0,0,0,0,0,0,0,0,0,0,0,5],
+          [5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5]
         ],
         enemySpawns: [
           { x: 3.5, y: 3.5 },
-          { x: 12.5, y: 5.5 },
-          { x: 12.5, y: 8.5 }
+          { x: 12.5, y: 5.5, type: 'rusher' },
+          { x: 13.5, y: 8.5, patrol: [{ x: 13.5, y: 1.5 }, { x: 9.5, y: 1.5 }] }
+        ],
+        pickups: [
+          { x: 1.5, y: 10.5, type: 'health' },
+          { x: 14.5, y: 1.5, type: 'ammo' },
+          { x: 8.5, y: 7.5, type: 'shells' }
+        ],
+        // A faulty light in the north-east room
+        lightEffects: [
+          { x: 12, y: 3, width: 2, height: 2, effect: 'flicker' }
         ]
       },
       {
         name: "Hell's Gate",
+        playerStart: { x: 7.5, y: 10.5, angle: -Math.PI / 2 },
+        floorTexture: 2,
+        lightLevel: 144,
+        fog: { color: [40, 10, 5], density: 0.07 },
         map: [
           [1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1],
           [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-          [1,0,0,0,1,1,1,0,0,1,1,1,0,0,0,1],
-          [1,0,0,0,0,0,1,0,0,1,0,0,0,0,0,1],
-          [1,0,1,1,0,0,0,0,0,0,0,0,1,1,0,1],
-          [1,0,1,0,0,0,0,0,0,0,0,0,0,1,0,1],
+          [1,0,0,0,2,32,2,0,0,2,2,2,0,0,0,1],
+          [1,0,0,0,0,0,2,0,0,2,0,0,42,0,0,1],
+          [1,0,2,2,0,0,0,0,0,0,2,21,2,2,0,1],
+          [1,0,2,0,0,0,0,0,0,0,0,0,0,2,0,1],
           [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
           [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-          [1,0,1,0,0,0,0,0,0,0,0,0,0,1,0,1],
-          [1,0,1,1,0,0,0,0,0,0,0,0,1,1,0,1],
+          [1,0,2,0,0,0,0,0,0,0,0,0,0,2,0,1],
+          [1,0,2,2,0,0,0,0,0,0,0,0,2,2,0,1],
           [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
           [1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1]
         ],
+        floor: [
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0],
+          [0,0,0,0,1,1,1,1,1,1,1,1,0,0,0,0],
+          [0,0,0,0,1,1,1,1,1,1,1,1,0,0,0,0],
+          [0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+        ],
+        // The brick cross is lit, the storeroom is dark
+        light: [
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,240,240,0,88,88,0,0,0,0],
+          [0,0,0,0,0,0,0,240,240,0,0,0,0,0,0,0],
+          [0,0,0,0,240,240,240,240,240,240,240,240,0,0,0,0],
+          [0,0,0,0,240,240,240,240,240,240,240,240,0,0,0,0],
+          [0,0,0,0,0,0,0,240,240,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,240,240,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+        ],
+        lightEffects: [
+          { x: 10, y: 3, width: 2, effect: 'flicker', min: 16 }
+        ],
         enemySpawns: [
-          { x: 2.5, y: 2.5 },
-          { x: 5.5, y: 4.5 },
-          { x: 10.5, y: 6.5 },
-          { x: 13.5, y: 9.5 }
+          { x: 2.5, y: 2.5, type: 'shooter' },
+          { x: 5.5, y: 4.5, type: 'rusher' },
+          { x: 10.5, y: 6.5, type: 'flyer' },
+          { x: 14.5, y: 9.5, patrol: [{ x: 14.5, y: 1.5 }] }
+        ],
+        // The red key opens the storeroom north of the hall, which can be
+        // seen into through its east window
+        pickups: [
+          { x: 1.5, y: 10.5, type: 'red_key' },
+          { x: 14.5, y: 1.5, type: 'health' },
+          { x: 10.5, y: 3.5, type: 'armor' },
+          { x: 11.5, y: 3.5, type: 'shells' }
         ]
       },
       {
         name: "The Abyss",
+        playerStart: { x: 13.5, y: 1.5, angle: Math.PI * 3 / 4 },
+        textures: {
+          2: { style: 'stone', color: [110, 40, 30] }
+        },
+        floorTexture: 2,
+        lightLevel: 120,
+        fog: { color: [30, 0, 0], density: 0.1 },
+        lightEffects: [
+          { x: 5, y: 4, width: 6, height: 4, effect: 'pulse', min: 40, period: 3000 }
+        ],
         map: [
-          [1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1],
-          [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-          [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-          [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-          [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-          [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-          [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-          [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-          [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-          [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-          [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-          [1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1]
+          [2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2],
+          [2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2],
+          [2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2],
+          [2,0,0,0,0,0,0,0,0,0,0,2,0,0,0,2],
+          [2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2],
+          [2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2],
+          [2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2],
+          [2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2],
+          [2,0,0,2,2,0,0,0,0,0,0,0,0,0,0,2],
+          [2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2],
+          [2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2],
+          [2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2]
+        ],
+        // A stepped dais in the middle and low crates to look over
+        floorHeight: [
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0.25,0.25,0.25,0.25,0.25,0.25,0,0,0,0,0],
+          [0,0,0,0,0,0.25,0.5,0.5,0.5,0.5,0.25,0,0,0,0,0],
+          [0,0,0,0,0,0.25,0.5,0.5,0.5,0.5,0.25,0,0,0,0,0],
+          [0,0,0,0,0,0.25,0.25,0.25,0.25,0.25,0.25,0,0,0,0,0],
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+          [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+        ],
+        wallHeight: [
+          [2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2],
+          [2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2],
+          [2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2],
+          [2,0,0,0,0,0,0,0,0,0,0,0.4,0,0,0,2],
+          [2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2],
+          [2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2],
+          [2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2],
+          [2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2],
+          [2,0,0,0.4,0.4,0,0,0,0,0,0,0,0,0,0,2],
+          [2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2],
+          [2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2],
+          [2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2]
         ],
         enemySpawns: [
-          { x: 2.5, y: 2.5 },
-          { x: 4.5, y: 4.5 },
-          { x: 6.5, y: 6.5 },
-          { x: 8.5, y: 8.5 },
-          { x: 10.5, y: 10.5 },
-          { x: 12.5, y: 12.5 }
+          { x: 2.5, y: 2.5, type: 'shooter' },
+          { x: 4.5, y: 4.5, type: 'flyer' },
+          { x: 6.5, y: 6.5, type: 'tank' },
+          { x: 8.5, y: 8.5, type: 'rusher' },
+          { x: 10.5, y: 10.5, type: 'shooter' },
+          { x: 12.5, y: 9.5, type: 'flyer' }
+        ],
+        pickups: [
+          { x: 1.5, y: 1.5, type: 'ammo' },
+          { x: 7.5, y: 5.5, type: 'armor' },
+          { x: 13.5, y: 3.5, type: 'rockets' },
+          { x: 1.5, y: 10.5, type: 'health' },
+          { x: 14.5, y: 10.5, type: 'shells' }
         ]
       }
     ];
@@ -81,9 +220,17 @@ export class LevelManager {
 
   getLevel(levelIndex) {
     console.log('LevelManager: Getting level at index', levelIndex, 'from', this.levels.length, 'levels');
-    const level = this.levels[levelIndex];
+    const level = levelIndex >= this.levels.length && this.endless
+      ? this.getGeneratedLevel(levelIndex + 1)
+      : this.levels[levelIndex];
     if (level) {
       console.log('LevelManager: Found level', level.name);
+      // Built-in levels are checked at build time too, so only report here
+      try {
+        this.checkLevel(level, level.name);
+      } catch (error) {
+        console.error(`LevelManager: ${error.message}`);
+      }
     } else {
       console.error('LevelManager: Level not found at index', levelIndex);
     }
@@ -93,4 +240,73 @@ export class LevelManager {
   getTotalLevels() {
     return this.levels.length;
   }
+
+  /**
+   * Get the generated level for a level number (same seed, same level)
+   */
+  getGeneratedLevel(levelNumber) {
+    if (!this.generatedLevels.has(levelNumber)) {
+      this.generatedLevels.set(levelNumber, generateLevel({ seed: this.seed, levelNumber }));
+    }
+    return this.generatedLevels.get(levelNumber);
+  }
+
+  /**
+   * Change the generator seed (drops previously generated levels)
+   */
+  setSeed(seed) {
+    this.seed = seed;
+    this.generatedLevels.clear();
+  }
+
+  /**
+   * Run the level validator, throwing an error that lists every problem
+   */
+  checkLevel(level, source) {
+    const { valid, errors } = validateLevel(level);
+    if (!valid) {
+      const error = new Error(`Invalid level "${source}":\n  - ${errors.join('\n  - ')}`);
+      error.errors = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Load a JSON level file and add it to the end of the level list
+   */
+  async loadLevelFile(url, assetManager) {
+    const data = await assetManager.loadJSON(url);
+    const level = parseLevel(data, url);
+    this.checkLevel(level, url);
+    this.levels.push(level);
+    console.log(`🗺️ Level file loaded: ${level.name} (${url})`);
+    return level;
+  }
+
+  /**
+   * Load every level listed in a pack manifest ({ "levels": ["e1m1.json"] })
+   *
+   * Paths are relative to the manifest. Invalid levels are reported and
+   * skipped so one broken file doesn't take the others down with it.
+   */
+  async loadLevelPack(url, assetManager) {
+    const manifest = await assetManager.loadJSON(url);
+    if (!manifest || !Array.isArray(manifest.levels)) {
+      throw new Error(`Invalid level pack "${url}": levels must be an array of file paths`);
+    }
+
+    const baseUrl = url.slice(0, url.lastIndexOf('/') + 1);
+    const loaded = [];
+
+    for (const file of manifest.levels) {
+      const levelUrl = /^(\/|[a-z]+:)/i.test(file) ? file : baseUrl + file;
+      try {
+        loaded.push(await this.loadLevelFile(levelUrl, assetManager));
+      } catch (error) {
+        console.error(`LevelManager: Skipping level "${levelUrl}"`, error.message);
+      }
+    }
+
+    return loaded;
+  }
 }
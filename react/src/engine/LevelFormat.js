@@ -0,0 +1,341 @@
+import { TILE } from './Tiles.js';
+
+// JSON level file format
+//
+// Version 1 layout:
+//   {
+//     "version": 1,
+//     "name": "Courtyard",
+//     "grid": [[1, 1, 1], [1, 0, 1], [1, 1, 1]],    map values, see Level.js
+//     "textures": { "1": { "style": "brick", "color": [150, 70, 40] } },
+//     "floorTexture": 6, "ceilingTexture": 7,       optional default IDs
+//     "floor": [[...]], "ceiling": [[...]],         optional per-cell IDs
+//     "floorHeight": [[...]], "wallHeight": [[...]], optional per-cell heights
+//     "lightLevel": 160, "light": [[...]],          default and per-cell light (0-255)
+//     "fog": { "color": [20, 10, 10], "density": 0.1 },
+//     "lightEffects": [{ "x": 3, "y": 2, "width": 2, "effect": "flicker" }],
+//     "player": { "x": 1.5, "y": 1.5, "angle": 0 },
+//     "enemies": [{ "x": 3.5, "y": 2.5, "type": "grunt", "patrol": [{ "x": 6.5, "y": 2.5 }] }],
+//     "pickups": [{ "x": 2.5, "y": 2.5, "type": "health" }],  see Pickups.js
+//     "triggers": [{ "x": 5, "y": 1, "action": "exit" }]
+//   }
+//
+// Trigger actions: "exit" ends the level, "message" shows `message` on the
+// HUD and "teleport" moves the player to `target` ({ x, y }).
+//
+// Enemies with `patrol` walk between those points (and back to their spawn)
+// until they spot the player.
+//
+// Pickups may set `amount` (overrides the type's health, armor or ammo) and
+// `respawn` (ms before it comes back, 0 = never).
+//
+// Heights are in wall heights (see Heights.js): `floorHeight` raises open
+// cells and the walls standing on them, `wallHeight` sets how tall wall
+// cells are (0 = the standard 1).
+//
+// Light grid cells of 0 use `lightLevel`. Light effects ("flicker" or
+// "pulse", see core/LightingSystem.js) cover `width` x `height` cells from
+// their x, y cell, dimming down to `min` once every `period` ms.
+
+export const LEVEL_FORMAT_VERSION = 1;
+
+export const TRIGGER_ACTIONS = ['exit', 'message', 'teleport'];
+
+/**
+ * Check level JSON against the schema and convert it to the LevelManager format
+ *
+ * Throws an Error listing every problem found; the list is also available
+ * as `error.errors`.
+ */
+export function parseLevel(data, source = 'level') {
+  const errors = checkLevelSchema(data);
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid level "${source}":\n  - ${errors.join('\n  - ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  return {
+    name: data.name,
+    map: data.grid.map(row => row.slice()),
+    textures: data.textures ? { ...data.textures } : undefined,
+    floor: data.floor,
+    ceiling: data.ceiling,
+    floorHeight: data.floorHeight,
+    wallHeight: data.wallHeight,
+    floorTexture: data.floorTexture,
+    ceilingTexture: data.ceilingTexture,
+    lightLevel: data.lightLevel,
+    light: data.light,
+    fog: data.fog ? { ...data.fog } : undefined,
+    lightEffects: data.lightEffects ? data.lightEffects.map(effect => ({ ...effect })) : undefined,
+    playerStart: {
+      x: data.player.x,
+      y: data.player.y,
+      angle: data.player.angle || 0
+    },
+    enemySpawns: (data.enemies || []).map(enemy => ({ ...enemy })),
+    pickups: (data.pickups || []).map(pickup => ({ ...pickup })),
+    triggers: (data.triggers || []).map(trigger => ({ ...trigger }))
+  };
+}
+
+/**
+ * Convert a LevelManager level back to level JSON
+ */
+export function serializeLevel(level) {
+  const data = {
+    version: LEVEL_FORMAT_VERSION,
+    name: level.name,
+    grid: level.map.map(row => row.slice())
+  };
+
+  if (level.textures) data.textures = level.textures;
+  if (level.floorTexture) data.floorTexture = level.floorTexture;
+  if (level.ceilingTexture) data.ceilingTexture = level.ceilingTexture;
+  if (level.floor) data.floor = level.floor;
+  if (level.ceiling) data.ceiling = level.ceiling;
+  if (level.floorHeight) data.floorHeight = level.floorHeight;
+  if (level.wallHeight) data.wallHeight = level.wallHeight;
+  if (level.lightLevel !== undefined) data.lightLevel = level.lightLevel;
+  if (level.light) data.light = level.light;
+  if (level.fog) data.fog = level.fog;
+  if (level.lightEffects) data.lightEffects = level.lightEffects.map(effect => ({ ...effect }));
+
+  const start = level.playerStart || { x: 1.5, y: 1.5, angle: 0 };
+  data.player = { x: start.x, y: start.y, angle: start.angle || 0 };
+  data.enemies = (level.enemySpawns || []).map(enemy => ({ ...enemy }));
+  data.pickups = (level.pickups || []).map(pickup => ({ ...pickup }));
+  data.triggers = (level.triggers || []).map(trigger => ({ ...trigger }));
+
+  return data;
+}
+
+/**
+ * Return a list of schema problems (empty when the data is well formed)
+ */
+export function checkLevelSchema(data) {
+  const errors = [];
+
+  if (!isObject(data)) {
+    return ['level must be a JSON object'];
+  }
+
+  if (data.version === undefined) {
+    errors.push('version is required');
+  } else if (!Number.isInteger(data.version)) {
+    errors.push('version must be an integer');
+  } else if (data.version > LEVEL_FORMAT_VERSION) {
+    errors.push(`version ${data.version} is newer than the supported version ${LEVEL_FORMAT_VERSION}`);
+  } else if (data.version < 1) {
+    errors.push(`version ${data.version} is not a valid version`);
+  }
+
+  if (typeof data.name !== 'string' || data.name.trim() === '') {
+    errors.push('name must be a non-empty string');
+  }
+
+  checkGrid(data.grid, 'grid', errors, true, isMapValue, 'a non-negative integer other than 30');
+  if (data.floor !== undefined) checkGrid(data.floor, 'floor', errors, false);
+  if (data.ceiling !== undefined) checkGrid(data.ceiling, 'ceiling', errors, false);
+  for (const field of ['floorHeight', 'wallHeight']) {
+    if (data[field] !== undefined) checkGrid(data[field], field, errors, false, isHeightValue, 'a number >= 0');
+  }
+
+  for (const field of ['floorTexture', 'ceilingTexture']) {
+    if (data[field] !== undefined && !isTileValue(data[field])) {
+      errors.push(`${field} must be a non-negative integer`);
+    }
+  }
+
+  if (data.textures !== undefined) {
+    checkTextures(data.textures, errors);
+  }
+
+  checkLighting(data, errors);
+
+  if (!isObject(data.player)) {
+    errors.push('player is required and must be an object with x and y');
+  } else {
+    checkPoint(data.player, 'player', errors);
+    if (data.player.angle !== undefined && !Number.isFinite(data.player.angle)) {
+      errors.push('player.angle must be a number (radians)');
+    }
+  }
+
+  checkList(data.enemies, 'enemies', errors, (enemy, path) => {
+    if (enemy.type !== undefined && typeof enemy.type !== 'string') {
+      errors.push(`${path}.type must be a string`);
+    }
+    checkList(enemy.patrol, `${path}.patrol`, errors, (waypoint, waypointPath) => {
+      checkPoint(waypoint, waypointPath, errors);
+    });
+  });
+
+  checkList(data.pickups, 'pickups', errors, (pickup, path) => {
+    if (typeof pickup.type !== 'string') {
+      errors.push(`${path}.type must be a string`);
+    }
+    for (const field of ['amount', 'respawn']) {
+      if (pickup[field] !== undefined && !(Number.isFinite(pickup[field]) && pickup[field] >= 0)) {
+        errors.push(`${path}.${field} must be a number >= 0`);
+      }
+    }
+  });
+
+  checkList(data.triggers, 'triggers', errors, (trigger, path) => {
+    if (!TRIGGER_ACTIONS.includes(trigger.action)) {
+      errors.push(`${path}.action must be one of ${TRIGGER_ACTIONS.join(', ')}`);
+    }
+    if (trigger.action === 'message' && typeof trigger.message !== 'string') {
+      errors.push(`${path}.message must be a string for message triggers`);
+    }
+    if (trigger.action === 'teleport') {
+      if (!isObject(trigger.target)) {
+        errors.push(`${path}.target must be an object with x and y for teleport triggers`);
+      } else {
+        checkPoint(trigger.target, `${path}.target`, errors);
+      }
+    }
+  });
+
+  return errors;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isTileValue(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// A bare pushwall (30) would come to rest as texture 0, i.e. empty floor
+function isMapValue(value) {
+  return isTileValue(value) && value !== TILE.PUSHWALL;
+}
+
+function isHeightValue(value) {
+  return Number.isFinite(value) && value >= 0;
+}
+
+function checkGrid(grid, path, errors, required, isValue = isTileValue, expected = 'a non-negative integer') {
+  if (!Array.isArray(grid) || grid.length === 0) {
+    if (required || grid !== undefined) {
+      errors.push(`${path} must be a non-empty array of rows`);
+    }
+    return;
+  }
+
+  grid.forEach((row, y) => {
+    if (!Array.isArray(row) || row.length === 0) {
+      errors.push(`${path}[${y}] must be a non-empty array of cell values`);
+      return;
+    }
+    const badCell = row.findIndex(value => !isValue(value));
+    if (badCell !== -1) {
+      errors.push(`${path}[${y}][${badCell}] must be ${expected} (got ${JSON.stringify(row[badCell])})`);
+    }
+  });
+}
+
+function checkTextures(textures, errors) {
+  if (!isObject(textures)) {
+    errors.push('textures must be an object keyed by texture ID');
+    return;
+  }
+
+  for (const [id, definition] of Object.entries(textures)) {
+    const path = `textures.${id}`;
+    if (!/^[1-9]\d*$/.test(id)) {
+      errors.push(`${path}: texture IDs must be positive integers`);
+    }
+    if (!isObject(definition)) {
+      errors.push(`${path} must be an object with a style or url`);
+      continue;
+    }
+    if (typeof definition.style !== 'string' && typeof definition.url !== 'string') {
+      errors.push(`${path} must have a style or url string`);
+    }
+    if (definition.color !== undefined && !isColor(definition.color)) {
+      errors.push(`${path}.color must be [r, g, b] with values 0-255`);
+    }
+  }
+}
+
+function isColor(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(isLightValue);
+}
+
+function isLightValue(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 255;
+}
+
+function checkLighting(data, errors) {
+  if (data.lightLevel !== undefined && !isLightValue(data.lightLevel)) {
+    errors.push('lightLevel must be an integer 0-255');
+  }
+
+  if (data.light !== undefined) {
+    checkGrid(data.light, 'light', errors, false);
+    if (Array.isArray(data.light) && data.light.some(row => Array.isArray(row) && row.some(value => isTileValue(value) && value > 255))) {
+      errors.push('light values must be 0-255');
+    }
+  }
+
+  if (data.fog !== undefined) {
+    if (!isObject(data.fog)) {
+      errors.push('fog must be an object with color and/or density');
+    } else {
+      if (data.fog.color !== undefined && !isColor(data.fog.color)) {
+        errors.push('fog.color must be [r, g, b] with values 0-255');
+      }
+      if (data.fog.density !== undefined && !(Number.isFinite(data.fog.density) && data.fog.density >= 0)) {
+        errors.push('fog.density must be a number >= 0');
+      }
+    }
+  }
+
+  checkList(data.lightEffects, 'lightEffects', errors, (effect, path) => {
+    if (typeof effect.effect !== 'string') {
+      errors.push(`${path}.effect must be a string`);
+    }
+    if (effect.min !== undefined && !isLightValue(effect.min)) {
+      errors.push(`${path}.min must be an integer 0-255`);
+    }
+    if (effect.period !== undefined && !(Number.isFinite(effect.period) && effect.period > 0)) {
+      errors.push(`${path}.period must be a number > 0`);
+    }
+    for (const field of ['width', 'height']) {
+      if (effect[field] !== undefined && !(Number.isInteger(effect[field]) && effect[field] > 0)) {
+        errors.push(`${path}.${field} must be a positive integer`);
+      }
+    }
+  });
+}
+
+function checkPoint(point, path, errors) {
+  if (!Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+    errors.push(`${path} must have numeric x and y`);
+  }
+}
+
+function checkList(list, path, errors, checkItem) {
+  if (list === undefined) return;
+
+  if (!Array.isArray(list)) {
+    errors.push(`${path} must be an array`);
+    return;
+  }
+
+  list.forEach((item, index) => {
+    const itemPath = `${path}[${index}]`;
+    if (!isObject(item)) {
+      errors.push(`${itemPath} must be an object`);
+      return;
+    }
+    checkPoint(item, itemPath, errors);
+    checkItem(item, itemPath);
+  });
+}
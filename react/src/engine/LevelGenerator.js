@@ -0,0 +1,321 @@
+// Seeded procedural level generator
+//
+// Builds levels in the LevelManager format from a numeric seed, so the same
+// seed and level number always give the same map. Two styles:
+//   'rooms'  rectangular rooms joined by L-shaped corridors
+//   'caves'  cellular-automata caverns, trimmed to one connected region
+//
+// Maps grow, enemy and pickup counts rise and tougher enemy types join in
+// as the level number goes up. The player starts at one end of the map and
+// the exit trigger is placed on the cell farthest away on foot.
+
+export const GENERATOR_STYLES = ['rooms', 'caves'];
+
+// Texture IDs (see GAME_CONSTANTS.WALL_TEXTURES) and lighting for each
+// style; caves are darker and foggier
+const PALETTES = {
+  rooms: [
+    { wall: 3, floorTexture: 6, ceilingTexture: 7 },
+    { wall: 5, floorTexture: 6, ceilingTexture: 7 },
+    { wall: 1, floorTexture: 2, ceilingTexture: 7, lightLevel: 176 }
+  ],
+  caves: [
+    { wall: 2, floorTexture: 2, ceilingTexture: 0, lightLevel: 136, fog: { color: [12, 12, 16], density: 0.09 } },
+    { wall: 4, floorTexture: 2, ceilingTexture: 0, lightLevel: 152, fog: { color: [20, 14, 8], density: 0.08 } }
+  ]
+};
+
+const MIN_ENEMY_DISTANCE = 6; // cells on foot from the player start
+
+// Pickup types handed out in turn (see PICKUP_TYPES in Pickups.js)
+const PICKUP_ROTATION = ['health', 'ammo', 'shells', 'armor', 'rockets'];
+
+// Enemy types and the level number they start appearing on (see ENEMY_TYPES)
+const ENEMY_UNLOCKS = [
+  { type: 'grunt', level: 1 },
+  { type: 'rusher', level: 1 },
+  { type: 'shooter', level: 5 },
+  { type: 'flyer', level: 6 },
+  { type: 'tank', level: 8 }
+];
+
+/**
+ * Small deterministic PRNG (mulberry32)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    chance: (probability) => next() < probability,
+    pick: (list) => list[Math.floor(next() * list.length)]
+  };
+}
+
+/**
+ * Generate a level
+ *
+ * Options: seed (number), levelNumber (1-based, drives size and difficulty)
+ * and style ('rooms' or 'caves', picked from the seed when omitted).
+ */
+export function generateLevel({ seed = 1, levelNumber = 1, style } = {}) {
+  const rng = createRandom((seed + Math.imul(levelNumber, 0x9e3779b9)) >>> 0);
+  const levelStyle = style || rng.pick(GENERATOR_STYLES);
+  if (!GENERATOR_STYLES.includes(levelStyle)) {
+    throw new Error(`Unknown generator style: ${levelStyle}`);
+  }
+
+  const palette = rng.pick(PALETTES[levelStyle]);
+  const width = Math.min(40, 16 + (levelNumber - 1) * 2);
+  const height = Math.min(30, 12 + (levelNumber - 1) * 2);
+
+  const { map, start, facing } = levelStyle === 'rooms'
+    ? generateRooms(rng, width, height, palette.wall)
+    : generateCaves(rng, width, height, palette.wall);
+
+  // Walking distance from the start to every floor cell
+  const distances = measureDistances(map, start.x, start.y);
+  let exit = start;
+  let farthest = 0;
+  const candidates = [];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const distance = distances[y * width + x];
+      if (distance > farthest) {
+        farthest = distance;
+        exit = { x, y };
+      }
+      if (distance >= MIN_ENEMY_DISTANCE) {
+        candidates.push({ x, y });
+      }
+    }
+  }
+
+  // Difficulty scaling
+  const spawnCells = shuffle(rng, candidates.filter(cell => cell.x !== exit.x || cell.y !== exit.y));
+  const enemyCount = Math.min(spawnCells.length, 3 + Math.floor(levelNumber * 1.5));
+  const enemyTypes = ENEMY_UNLOCKS.filter(unlock => levelNumber >= unlock.level).map(unlock => unlock.type);
+  const enemySpawns = spawnCells.slice(0, enemyCount).map(cell => ({
+    x: cell.x + 0.5,
+    y: cell.y + 0.5,
+    type: rng.pick(enemyTypes)
+  }));
+
+  // Supplies on the free cells left over, more of them on bigger maps
+  const pickupCount = 2 + Math.floor(levelNumber / 2);
+  const pickups = spawnCells.slice(enemyCount, enemyCount + pickupCount).map((cell, i) => ({
+    x: cell.x + 0.5,
+    y: cell.y + 0.5,
+    type: PICKUP_ROTATION[i % PICKUP_ROTATION.length]
+  }));
+
+  const angle = facing
+    ? Math.atan2(facing.y - start.y, facing.x - start.x)
+    : Math.atan2(exit.y - start.y, exit.x - start.x);
+
+  return {
+    name: `${levelStyle === 'rooms' ? 'Sector' : 'Caverns'} ${levelNumber}`,
+    seed,
+    generated: true,
+    floorTexture: palette.floorTexture,
+    ceilingTexture: palette.ceilingTexture,
+    lightLevel: palette.lightLevel,
+    fog: palette.fog,
+    map,
+    playerStart: { x: start.x + 0.5, y: start.y + 0.5, angle },
+    enemySpawns,
+    pickups,
+    triggers: [{ x: exit.x, y: exit.y, action: 'exit' }]
+  };
+}
+
+function createGrid(width, height, value) {
+  return Array.from({ length: height }, () => new Array(width).fill(value));
+}
+
+function shuffle(rng, list) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(rng.next() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+/**
+ * Rooms and corridors
+ */
+function generateRooms(rng, width, height, wall) {
+  const map = createGrid(width, height, wall);
+  const rooms = [];
+  const targetRooms = 4 + Math.floor((width * height) / 120);
+
+  for (let attempt = 0; attempt < targetRooms * 10 && rooms.length < targetRooms; attempt++) {
+    const w = rng.int(3, 6);
+    const h = rng.int(3, 5);
+    const x = rng.int(1, width - w - 1);
+    const y = rng.int(1, height - h - 1);
+
+    // Keep at least one wall cell between rooms
+    const overlaps = rooms.some(room =>
+      x <= room.x + room.w && x + w >= room.x && y <= room.y + room.h && y + h >= room.y);
+    if (overlaps) continue;
+
+    rooms.push({ x, y, w, h });
+    for (let cy = y; cy < y + h; cy++) {
+      for (let cx = x; cx < x + w; cx++) {
+        map[cy][cx] = 0;
+      }
+    }
+  }
+
+  const centre = (room) => ({
+    x: room.x + Math.floor(room.w / 2),
+    y: room.y + Math.floor(room.h / 2)
+  });
+
+  // Join each room to the previous one
+  for (let i = 1; i < rooms.length; i++) {
+    const a = centre(rooms[i - 1]);
+    const b = centre(rooms[i]);
+
+    if (rng.chance(0.5)) {
+      carveLine(map, a.x, a.y, b.x, a.y);
+      carveLine(map, b.x, a.y, b.x, b.y);
+    } else {
+      carveLine(map, a.x, a.y, a.x, b.y);
+      carveLine(map, a.x, b.y, b.x, b.y);
+    }
+  }
+
+  return {
+    map,
+    start: centre(rooms[0]),
+    facing: rooms.length > 1 ? centre(rooms[1]) : null
+  };
+}
+
+// Clear a horizontal or vertical run of cells
+function carveLine(map, x1, y1, x2, y2) {
+  for (let y = Math.min(y1, y2); y <= Math.max(y1, y2); y++) {
+    for (let x = Math.min(x1, x2); x <= Math.max(x1, x2); x++) {
+      map[y][x] = 0;
+    }
+  }
+}
+
+/**
+ * Cellular-automata caves
+ */
+function generateCaves(rng, width, height, wall) {
+  let map = null;
+  let region = [];
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    map = createGrid(width, height, wall);
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        map[y][x] = rng.chance(0.45) ? wall : 0;
+      }
+    }
+
+    for (let step = 0; step < 4; step++) {
+      map = smoothCaves(map, wall);
+    }
+
+    region = keepLargestRegion(map, wall);
+    if (region.length >= width * height * 0.35) break;
+  }
+
+  // Start on the open cell nearest the top-left corner
+  const start = region.reduce((best, cell) => (cell.x + cell.y < best.x + best.y ? cell : best), region[0]);
+
+  return { map, start, facing: null };
+}
+
+function smoothCaves(map, wall) {
+  const height = map.length;
+  const width = map[0].length;
+  const next = createGrid(width, height, wall);
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      let walls = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (map[y + dy][x + dx] !== 0) walls++;
+        }
+      }
+      next[y][x] = walls >= 5 ? wall : 0;
+    }
+  }
+
+  return next;
+}
+
+// Fill every open area except the biggest, returning the cells kept
+function keepLargestRegion(map, wall) {
+  const height = map.length;
+  const width = map[0].length;
+  const seen = new Uint8Array(width * height);
+  const regions = [];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (map[y][x] !== 0 || seen[y * width + x]) continue;
+
+      const cells = [];
+      const stack = [{ x, y }];
+      seen[y * width + x] = 1;
+      while (stack.length > 0) {
+        const cell = stack.pop();
+        cells.push(cell);
+        for (const [nx, ny] of [[cell.x + 1, cell.y], [cell.x - 1, cell.y], [cell.x, cell.y + 1], [cell.x, cell.y - 1]]) {
+          if (map[ny][nx] !== 0 || seen[ny * width + nx]) continue;
+          seen[ny * width + nx] = 1;
+          stack.push({ x: nx, y: ny });
+        }
+      }
+      regions.push(cells);
+    }
+  }
+
+  regions.sort((a, b) => b.length - a.length);
+  for (const cells of regions.slice(1)) {
+    for (const cell of cells) {
+      map[cell.y][cell.x] = wall;
+    }
+  }
+
+  return regions[0] || [];
+}
+
+// Breadth-first walking distance to every floor cell (-1 when unreachable)
+function measureDistances(map, startX, startY) {
+  const height = map.length;
+  const width = map[0].length;
+  const distances = new Int32Array(width * height).fill(-1);
+  const queue = [{ x: startX, y: startY }];
+  distances[startY * width + startX] = 0;
+
+  for (let head = 0; head < queue.length; head++) {
+    const { x, y } = queue[head];
+    const distance = distances[y * width + x];
+    for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+      if (map[ny][nx] !== 0 || distances[ny * width + nx] !== -1) continue;
+      distances[ny * width + nx] = distance + 1;
+      queue.push({ x: nx, y: ny });
+    }
+  }
+
+  return distances;
+}
@@ -0,0 +1,236 @@
+import { TILE, TILE_TYPE, BLOCKS, getTileType, getDoorKey, tileBlocks } from './Tiles.js';
+import { PICKUP_TYPES } from './Pickups.js';
+import { ENEMY_TYPES } from './EnemyTypes.js';
+import { LIGHT_EFFECTS } from './core/LightingSystem.js';
+import { HeightMap } from './Heights.js';
+import { GAME_CONSTANTS } from './Constants.js';
+
+// Level sanity checks
+//
+// Catches broken level data before it reaches the game: ragged rows, holes
+// in the outer wall, spawns inside walls or off the map, spawns or exits the
+// player can't reach, unknown enemy, pickup or light effect types and
+// locked doors without their key. Used by LevelManager when levels are
+// loaded and by scripts/validate-levels.js during the build.
+
+/**
+ * Validate a level in LevelManager format
+ *
+ * Returns { valid, errors } where errors is a list of readable messages.
+ */
+export function validateLevel(level) {
+  const errors = [];
+  const map = level && level.map;
+
+  if (!Array.isArray(map) || map.length === 0 || !map.every(Array.isArray)) {
+    return { valid: false, errors: ['map must be a non-empty array of rows'] };
+  }
+
+  const height = map.length;
+  const width = map[0].length;
+
+  // Rectangular rows
+  map.forEach((row, y) => {
+    if (row.length !== width) {
+      errors.push(`map row ${y} has ${row.length} cells, expected ${width}`);
+    }
+  });
+  for (const layer of ['floor', 'ceiling', 'floorHeight', 'wallHeight', 'light']) {
+    const grid = level[layer];
+    if (!grid) continue;
+    if (grid.length !== height || grid.some(row => !Array.isArray(row) || row.length !== width)) {
+      errors.push(`${layer} grid must be ${width}x${height} to match the map`);
+    }
+  }
+
+  // Ragged maps make every later check unreliable
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  // Closed borders
+  const openings = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const onBorder = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+      if (onBorder && isWalkableTile(map[y][x])) {
+        openings.push(`(${x}, ${y})`);
+      }
+    }
+  }
+  if (openings.length > 0) {
+    errors.push(`border is open at ${openings.join(', ')}`);
+  }
+
+  // Pushwalls need a wall texture to come to rest as (30 would leave a hole)
+  const barePushwalls = [];
+  map.forEach((row, y) => row.forEach((tile, x) => {
+    if (tile === TILE.PUSHWALL) barePushwalls.push(`(${x}, ${y})`);
+  }));
+  if (barePushwalls.length > 0) {
+    errors.push(`pushwall at ${barePushwalls.join(', ')} has no wall texture (use codes 31-39)`);
+  }
+
+  // Every locked door needs its key somewhere in the level
+  const keys = new Set((level.pickups || []).map(pickup => PICKUP_TYPES[pickup.type]?.key).filter(Boolean));
+  const lockedDoors = new Set();
+  map.forEach(row => row.forEach(tile => {
+    const key = getTileType(tile) === TILE_TYPE.DOOR && getDoorKey(tile);
+    if (key) lockedDoors.add(key);
+  }));
+  for (const key of lockedDoors) {
+    if (!keys.has(key)) {
+      errors.push(`${key} locked door has no ${key} key pickup`);
+    }
+  }
+
+  // Spawns on walkable cells
+  const start = level.playerStart || { x: 1.5, y: 1.5 };
+  const points = [{ label: 'player start', x: start.x, y: start.y }];
+  (level.enemySpawns || []).forEach((spawn, i) => {
+    if (spawn.type !== undefined && !ENEMY_TYPES[spawn.type]) {
+      errors.push(`enemy spawn ${i} has unknown type "${spawn.type}"`);
+    }
+    points.push({ label: `enemy spawn ${i}`, x: spawn.x, y: spawn.y });
+    (spawn.patrol || []).forEach((waypoint, j) => {
+      points.push({ label: `enemy spawn ${i} patrol point ${j}`, x: waypoint.x, y: waypoint.y });
+    });
+  });
+  (level.pickups || []).forEach((pickup, i) => {
+    if (!PICKUP_TYPES[pickup.type]) {
+      errors.push(`pickup ${i} has unknown type "${pickup.type}"`);
+    }
+    points.push({ label: `pickup ${i} (${pickup.type})`, x: pickup.x, y: pickup.y });
+  });
+  (level.triggers || []).forEach((trigger, i) => {
+    const label = trigger.action === 'exit' ? 'exit' : `trigger ${i} (${trigger.action})`;
+    points.push({ label, x: trigger.x, y: trigger.y });
+    if (trigger.action === 'teleport' && trigger.target) {
+      points.push({ label: `teleport ${i} target`, x: trigger.target.x, y: trigger.target.y });
+    }
+  });
+
+  // Light effects need a known type and at least one cell on the map
+  (level.lightEffects || []).forEach((effect, i) => {
+    if (!LIGHT_EFFECTS[effect.effect]) {
+      errors.push(`light effect ${i} has unknown type "${effect.effect}"`);
+    }
+    const right = Math.floor(effect.x) + (effect.width || 1);
+    const bottom = Math.floor(effect.y) + (effect.height || 1);
+    if (right <= 0 || bottom <= 0 || effect.x >= width || effect.y >= height) {
+      errors.push(`light effect ${i} at (${effect.x}, ${effect.y}) is outside the ${width}x${height} map`);
+    }
+  });
+
+  const placed = points.filter(point => {
+    const cellX = Math.floor(point.x);
+    const cellY = Math.floor(point.y);
+    if (!(cellX >= 0 && cellX < width && cellY >= 0 && cellY < height)) {
+      errors.push(`${point.label} at (${point.x}, ${point.y}) is outside the ${width}x${height} map`);
+      return false;
+    }
+    if (!isWalkableTile(map[cellY][cellX])) {
+      errors.push(`${point.label} at (${point.x}, ${point.y}) is inside a wall`);
+      return false;
+    }
+    return true;
+  });
+
+  // Reachability from the player start
+  if (placed[0] && placed[0].label === 'player start') {
+    const heights = new HeightMap(map, level.floorHeight, level.wallHeight);
+    const reachable = floodFill(map, Math.floor(start.x), Math.floor(start.y), level.triggers || [], level.pickups || [], heights);
+    for (const point of placed.slice(1)) {
+      if (!reachable[Math.floor(point.y) * width + Math.floor(point.x)]) {
+        errors.push(`${point.label} at (${point.x}, ${point.y}) can't be reached from the player start`);
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Cells the player can stand in (floor, doorways and see-through walls
+ * that don't block movement)
+ */
+export function isWalkableTile(tile) {
+  const type = getTileType(tile);
+  return type === TILE_TYPE.EMPTY || type === TILE_TYPE.DOOR ||
+    (type === TILE_TYPE.SEE_THROUGH && !tileBlocks(tile, BLOCKS.MOVEMENT));
+}
+
+// Mark every cell reachable on foot, through doors, secret pushwalls and
+// teleport triggers, climbing rises in the floor up to a step plus a jump.
+// Locked doors stay shut until a cell holding their key has been reached.
+function floodFill(map, startX, startY, triggers, pickups, heights) {
+  const height = map.length;
+  const width = map[0].length;
+  const reachable = new Uint8Array(width * height);
+  const teleports = new Map();
+  const keyCells = new Map(); // cell index -> key colours picked up there
+  const heldKeys = new Set();
+  const lockedOut = new Map(); // key colour -> door cells waiting for it
+
+  for (const trigger of triggers) {
+    if (trigger.action === 'teleport' && trigger.target) {
+      teleports.set(Math.floor(trigger.y) * width + Math.floor(trigger.x), trigger.target);
+    }
+  }
+  for (const pickup of pickups) {
+    const key = PICKUP_TYPES[pickup.type]?.key;
+    if (!key) continue;
+    const index = Math.floor(pickup.y) * width + Math.floor(pickup.x);
+    keyCells.set(index, [...(keyCells.get(index) || []), key]);
+  }
+
+  const passable = (x, y) => {
+    if (x < 0 || x >= width || y < 0 || y >= height) return false;
+    return isWalkableTile(map[y][x]) || getTileType(map[y][x]) === TILE_TYPE.PUSHWALL;
+  };
+
+  const climb = GAME_CONSTANTS.STEP_HEIGHT + GAME_CONSTANTS.JUMP_VELOCITY ** 2 / (2 * GAME_CONSTANTS.GRAVITY);
+
+  const stack = [];
+  const reach = (x, y) => {
+    const index = y * width + x;
+    reachable[index] = 1;
+    stack.push([x, y]);
+
+    // Picking up a key opens every door of its colour found so far
+    for (const key of keyCells.get(index) || []) {
+      if (heldKeys.has(key)) continue;
+      heldKeys.add(key);
+      for (const [doorX, doorY] of lockedOut.get(key) || []) {
+        if (!reachable[doorY * width + doorX]) reach(doorX, doorY);
+      }
+      lockedOut.delete(key);
+    }
+  };
+
+  reach(startX, startY);
+
+  while (stack.length > 0) {
+    const [x, y] = stack.pop();
+    const next = [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]];
+
+    const target = teleports.get(y * width + x);
+    if (target) {
+      next.push([Math.floor(target.x), Math.floor(target.y), true]);
+    }
+
+    for (const [nx, ny, teleported] of next) {
+      if (!passable(nx, ny) || reachable[ny * width + nx]) continue;
+      if (!teleported && heights.getFloor(nx, ny) - heights.getFloor(x, y) > climb) continue;
+
+      const key = getDoorKey(map[ny][nx]);
+      if (key && !heldKeys.has(key)) {
+        lockedOut.set(key, [...(lockedOut.get(key) || []), [nx, ny]]);
+        continue;
+      }
+      reach(nx, ny);
+    }
+  }
+
+  return reachable;
+}
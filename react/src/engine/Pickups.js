@@ -0,0 +1,109 @@
+import { GAME_CONSTANTS } from './Constants.js';
+
+// Pickup definitions
+//
+// Effects: `health` and `armor` add points up to the player's maximum,
+// `ammo` adds rounds per ammo type and `key` gives a keycard. `respawn` is
+// the default time in ms before a collected pickup comes back (0 = never);
+// a level entry can override it, and dropped pickups never respawn.
+
+export const PICKUP_TYPES = {
+  health: { name: 'Medikit', color: '#e33', size: 0.3, health: 25, respawn: 30000 },
+  ammo: { name: 'Bullets', color: '#dd3', size: 0.25, ammo: { bullets: 10 }, respawn: 20000 },
+  shells: { name: 'Shells', color: '#e82', size: 0.25, ammo: { shells: 4 }, respawn: 20000 },
+  rockets: { name: 'Rockets', color: '#b55', size: 0.3, ammo: { rockets: 2 }, respawn: 30000 },
+  armor: { name: 'Armor', color: '#3c3', size: 0.35, armor: 50, respawn: 60000 },
+  red_key: { name: 'Red key', color: '#f22', size: 0.25, key: 'red', respawn: 0 },
+  blue_key: { name: 'Blue key', color: '#36f', size: 0.25, key: 'blue', respawn: 0 },
+  yellow_key: { name: 'Yellow key', color: '#fd0', size: 0.25, key: 'yellow', respawn: 0 }
+};
+
+export class Pickup {
+  /**
+   * Options: amount (overrides the health, armor or ammo amount),
+   * respawn (ms, 0 = never) and dropped (true for enemy drops)
+   */
+  constructor(x, y, type, options = {}) {
+    const definition = PICKUP_TYPES[type];
+    if (!definition) {
+      throw new Error(`Unknown pickup type: ${type}`);
+    }
+
+    this.x = x;
+    this.y = y;
+    this.type = type;
+    this.definition = definition;
+    this.radius = GAME_CONSTANTS.PICKUP_RADIUS;
+    this.amount = options.amount ?? null;
+    this.respawnTime = options.dropped ? 0 : (options.respawn ?? definition.respawn);
+    this.active = true;
+    this.respawnTimer = 0;
+  }
+
+  // Scene system methods
+  onAddedToScene() {}
+
+  onRemovedFromScene() {}
+
+  update(deltaTime) {
+    if (this.active || this.respawnTime <= 0) return;
+
+    this.respawnTimer -= deltaTime;
+    if (this.respawnTimer <= 0) {
+      this.active = true;
+    }
+  }
+
+  render() {
+    // Drawn by the Renderer as a billboard
+  }
+
+  /**
+   * Apply the pickup to the player
+   *
+   * Returns a HUD message, or null when the player doesn't need it (full
+   * health, maxed ammo), in which case it stays on the floor.
+   */
+  apply(player) {
+    const { definition } = this;
+
+    if (definition.health) {
+      if (player.heal(this.amount ?? definition.health) === 0) return null;
+    } else if (definition.armor) {
+      if (player.addArmor(this.amount ?? definition.armor) === 0) return null;
+    } else if (definition.ammo) {
+      let added = 0;
+      for (const [ammoType, amount] of Object.entries(definition.ammo)) {
+        added += player.addAmmo(ammoType, this.amount ?? amount);
+      }
+      if (added === 0) return null;
+    } else if (definition.key) {
+      if (player.keys.has(definition.key)) return null;
+      player.keys.add(definition.key);
+    }
+
+    return `Picked up ${definition.name.toLowerCase()}`;
+  }
+
+  /**
+   * Take the pickup off the floor; returns true when it will respawn
+   */
+  collect() {
+    this.active = false;
+    this.respawnTimer = this.respawnTime;
+    return this.respawnTime > 0;
+  }
+
+  /**
+   * Describe how the renderer should draw this pickup
+   */
+  getBillboard() {
+    return {
+      x: this.x,
+      y: this.y,
+      size: this.definition.size,
+      width: 1,
+      color: this.definition.color
+    };
+  }
+}
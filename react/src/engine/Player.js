@@ -1,12 +1,28 @@
 import { GAME_CONSTANTS } from './Constants.js';
+import { AMMO_TYPES } from './Weapons.js';
+import { createHitbox } from './Projectile.js';
 
 export class Player {
   constructor(x, y) {
     this.x = x;
     this.y = y;
     this.angle = 0;
+    this.pitch = 0; // horizon shift in screen heights, positive looks up
+    this.floorHeight = 0; // floor under the player (Heights.js)
+    this.z = 0; // feet above the floor while jumping or falling
+    this.verticalVelocity = 0;
+    this.crouch = 0; // 0 standing to 1 fully crouched
+    this.viewHeight = GAME_CONSTANTS.PLAYER_EYE_HEIGHT; // eye above the ground, floor height included
+    this.height = GAME_CONSTANTS.PLAYER_HEIGHT; // body from the feet up
     this.health = GAME_CONSTANTS.PLAYER_START_HEALTH;
-    this.ammo = GAME_CONSTANTS.PLAYER_START_AMMO;
+    this.armor = 0;
+    this.ammo = {
+      bullets: GAME_CONSTANTS.PLAYER_START_AMMO,
+      shells: GAME_CONSTANTS.PLAYER_START_SHELLS,
+      rockets: 0
+    };
+    this.keys = new Set(); // Keycards: 'red', 'blue', 'yellow'
+    this.hitbox = createHitbox(GAME_CONSTANTS.PLAYER_RADIUS, 'player');
   }
 
   // Scene system methods
@@ -25,7 +41,7 @@ export class Player {
   move(dx, dy, scene) {
     const newX = this.x + dx;
     const newY = this.y + dy;
-    if (scene && scene.engine && scene.engine.physics.isValidPosition(newX, newY)) {
+    if (scene && scene.engine && scene.engine.physics.isValidPosition(newX, newY, GAME_CONSTANTS.PLAYER_RADIUS, this.getReach())) {
       this.x = newX;
       this.y = newY;
       return true;
@@ -37,23 +53,141 @@ export class Player {
     this.angle += deltaAngle;
   }
 
+  /**
+   * Tilt the view up (positive) or down, within MAX_PITCH
+   */
+  look(deltaPitch) {
+    const max = GAME_CONSTANTS.MAX_PITCH;
+    this.pitch = Math.max(-max, Math.min(max, this.pitch + deltaPitch));
+  }
+
+  /**
+   * Highest floor the player can get onto from where their feet are now
+   */
+  getReach() {
+    return this.floorHeight + this.z + GAME_CONSTANTS.STEP_HEIGHT;
+  }
+
+  /**
+   * Move onto a floor of another height, keeping the feet where they are:
+   * stepping up lands at once, walking off a ledge starts a fall
+   */
+  setFloorHeight(height) {
+    if (height === this.floorHeight) return;
+    this.z = Math.max(0, this.z + this.floorHeight - height);
+    this.floorHeight = height;
+    this.updateHeights();
+  }
+
+  isOnGround() {
+    return this.z === 0 && this.verticalVelocity === 0;
+  }
+
+  /**
+   * Take off if standing on the floor
+   */
+  jump() {
+    if (!this.isOnGround()) return false;
+    this.verticalVelocity = GAME_CONSTANTS.JUMP_VELOCITY;
+    return true;
+  }
+
+  /**
+   * Follow the jump arc, ease into or out of a crouch and work out the eye
+   * and body heights from both
+   */
+  updateVertical(deltaTime, crouching) {
+    if (!this.isOnGround()) {
+      const gravity = GAME_CONSTANTS.GRAVITY;
+      this.z += this.verticalVelocity * deltaTime - 0.5 * gravity * deltaTime * deltaTime;
+      this.verticalVelocity -= gravity * deltaTime;
+      if (this.z <= 0) {
+        this.z = 0;
+        this.verticalVelocity = 0;
+      }
+    }
+
+    const step = deltaTime / GAME_CONSTANTS.CROUCH_TIME;
+    this.crouch = crouching ? Math.min(1, this.crouch + step) : Math.max(0, this.crouch - step);
+    this.updateHeights();
+  }
+
+  updateHeights() {
+    const drop = (GAME_CONSTANTS.PLAYER_EYE_HEIGHT - GAME_CONSTANTS.PLAYER_CROUCH_EYE_HEIGHT) * this.crouch;
+    this.viewHeight = this.floorHeight + this.z + GAME_CONSTANTS.PLAYER_EYE_HEIGHT - drop;
+    this.height = GAME_CONSTANTS.PLAYER_HEIGHT - drop;
+  }
+
+  /**
+   * Standing on a floor of `floorHeight`, looking straight ahead
+   */
+  resetView(floorHeight = 0) {
+    this.pitch = 0;
+    this.floorHeight = floorHeight;
+    this.z = 0;
+    this.verticalVelocity = 0;
+    this.crouch = 0;
+    this.updateHeights();
+  }
+
   takeDamage(damage) {
-    this.health -= damage;
+    // Armor soaks up part of each hit until it runs out
+    const absorbed = Math.min(this.armor, Math.floor(damage * GAME_CONSTANTS.ARMOR_ABSORB));
+    this.armor -= absorbed;
+    this.health -= damage - absorbed;
     if (this.health < 0) this.health = 0;
   }
 
-  shoot() {
-    if (this.ammo > 0) {
-      this.ammo--;
-      return true;
-    }
-    return false;
+  /**
+   * Heal up to MAX_HEALTH; returns the amount actually healed
+   */
+  heal(amount) {
+    const added = Math.max(0, Math.min(amount, GAME_CONSTANTS.MAX_HEALTH - this.health));
+    this.health += added;
+    return added;
+  }
+
+  /**
+   * Add armor up to MAX_ARMOR; returns the amount actually added
+   */
+  addArmor(amount) {
+    const added = Math.max(0, Math.min(amount, GAME_CONSTANTS.MAX_ARMOR - this.armor));
+    this.armor += added;
+    return added;
+  }
+
+  getAmmo(type) {
+    return this.ammo[type] || 0;
+  }
+
+  /**
+   * Add ammo up to the type's maximum; returns the amount actually added
+   */
+  addAmmo(type, amount) {
+    const current = this.getAmmo(type);
+    const added = Math.max(0, Math.min(amount, AMMO_TYPES[type].max - current));
+    this.ammo[type] = current + added;
+    return added;
+  }
+
+  useAmmo(type, amount = 1) {
+    if (this.getAmmo(type) < amount) return false;
+    this.ammo[type] -= amount;
+    return true;
   }
 
   isAlive() {
     return this.health > 0;
   }
 
+  /**
+   * Projectile hitbox, moved to where the player is now
+   */
+  getHitbox() {
+    this.hitbox.transform.setPosition(this.x, this.y);
+    return this.hitbox;
+  }
+
   render(renderer) {
     // Player rendering is handled by the scene
   }
@@ -0,0 +1,291 @@
+import { GAME_CONSTANTS } from './Constants.js';
+import { Entity } from './ecs/ECS.js';
+import { TransformComponent } from './ecs/TransformComponent.js';
+import { PhysicsComponent } from './ecs/PhysicsComponent.js';
+import { PoolManager } from './ecs/ObjectPooling.js';
+import { BLOCKS } from './Tiles.js';
+
+// Projectiles fired by the player and by ranged enemies
+//
+// A projectile flies in a straight line at `speed` cells per ms until it
+// hits a wall (PhysicsSystem), overlaps a target's hitbox (PhysicsComponent
+// collider) or has travelled `range` cells. `splash` damages everything
+// within `radius` cells of the impact with a clear line to it, falling off
+// linearly to nothing at the edge. Projectiles are pooled and updated by
+// the ProjectileManager.
+//
+// Projectiles fly level at height `z` above the ground (PROJECTILE_HEIGHT
+// wall heights unless launched higher or lower) and burst on floors raised
+// above it. Targets with a vertical extent of their own (`height`, plus
+// `floorHeight` and `z` for where their feet are, like the player) are
+// only hit when the projectile passes between their feet and the top of
+// their body, so a jump can clear a low shot. Splash damage ignores height.
+
+export const PROJECTILE_TYPES = {
+  plasma: { name: 'Plasma ball', speed: 0.006, radius: 0.15, damage: 12, range: 14, color: '#6cf', splash: null },
+  rocket: { name: 'Rocket', speed: 0.012, radius: 0.12, damage: 40, range: 30, color: '#fa3', splash: { radius: 2.5, damage: 80 } }
+};
+
+// Hitbox collision layers each side's projectiles can hit
+const PROJECTILE_TARGETS = {
+  player: ['enemies'],
+  enemy: ['player']
+};
+
+const MAX_STEP = 0.25; // cells moved per collision check, so nothing is skipped
+
+/**
+ * Collision circle for something projectiles can hit (layer 'player' or
+ * 'enemies')
+ *
+ * Component type names don't survive minification, so the transform and
+ * collider are kept as direct references rather than looked up by name.
+ */
+export function createHitbox(radius, layer) {
+  const hitbox = new Entity('Hitbox');
+  hitbox.transform = hitbox.addComponent(new TransformComponent());
+  hitbox.collider = hitbox.addComponent(new PhysicsComponent({ colliderType: 'circle', radius, collisionLayer: layer, isKinematic: true }));
+  return hitbox;
+}
+
+export class Projectile extends Entity {
+  constructor() {
+    super('Projectile');
+    this.transform = this.addComponent(new TransformComponent());
+    this.collider = this.addComponent(new PhysicsComponent({
+      colliderType: 'circle',
+      collisionLayer: 'projectiles',
+      isTrigger: true,
+      isKinematic: true
+    }));
+    this.reset();
+  }
+
+  get x() {
+    return this.transform.position.x;
+  }
+
+  get y() {
+    return this.transform.position.y;
+  }
+
+  /**
+   * Clear state before going back to the pool
+   */
+  reset() {
+    this.active = false;
+    this.type = null;
+    this.definition = null;
+    this.source = null;
+    this.angle = 0;
+    this.speed = 0;
+    this.damage = 0;
+    this.range = 0;
+    this.splash = null;
+    this.z = 0;
+    this.travelled = 0;
+    this.collider.setCollisionMask([]);
+  }
+
+  /**
+   * Fire from a position
+   *
+   * Options: owner ('player' or 'enemy', picks what it can hit), source
+   * (the shooter, never hit directly), z (flight height), and damage,
+   * speed, range or splash to override the type's values.
+   */
+  launch(x, y, angle, type, options = {}) {
+    const definition = PROJECTILE_TYPES[type];
+    if (!definition) {
+      throw new Error(`Unknown projectile type: ${type}`);
+    }
+    const owner = options.owner || 'enemy';
+    if (!PROJECTILE_TARGETS[owner]) {
+      throw new Error(`Unknown projectile owner: ${owner}`);
+    }
+
+    this.transform.setPosition(x, y);
+    this.active = true;
+    this.type = type;
+    this.definition = definition;
+    this.source = options.source || null;
+    this.angle = angle;
+    this.speed = options.speed ?? definition.speed;
+    this.damage = options.damage ?? definition.damage;
+    this.range = options.range ?? definition.range;
+    this.splash = options.splash !== undefined ? options.splash : definition.splash;
+    this.z = options.z ?? GAME_CONSTANTS.PROJECTILE_HEIGHT;
+    this.travelled = 0;
+    this.collider.setCollider('circle', { radius: definition.radius });
+    this.collider.setCollisionMask(PROJECTILE_TARGETS[owner]);
+    return this;
+  }
+
+  /**
+   * Move along the flight line (negative distances back up)
+   */
+  advance(distance) {
+    this.transform.translate(Math.cos(this.angle) * distance, Math.sin(this.angle) * distance);
+    this.travelled += distance;
+  }
+
+  /**
+   * Check the projectile's collider against a hitbox
+   */
+  hits(hitbox) {
+    return this.collider.collisionMask.includes(hitbox.collider.collisionLayer) &&
+      this.collider.checkCollision(hitbox.collider) !== null;
+  }
+
+  /**
+   * Check whether the projectile flies within a target's height; targets
+   * without one are hit at any height
+   */
+  isAtHeightOf(target) {
+    if (target.height === undefined) return true;
+    const bottom = (target.floorHeight || 0) + (target.z || 0);
+    return this.z >= bottom && this.z <= bottom + target.height;
+  }
+
+  /**
+   * Describe how the renderer should draw this projectile over a floor of
+   * `floorHeight`
+   */
+  getBillboard(floorHeight = 0) {
+    return {
+      x: this.x,
+      y: this.y,
+      size: this.definition.radius * 2,
+      width: 1,
+      elevation: this.z - this.definition.radius - floorHeight,
+      color: this.definition.color,
+      fullbright: true
+    };
+  }
+}
+
+// Projectiles in flight for a level, drawn from a pool
+export class ProjectileManager {
+  constructor(physics) {
+    this.physics = physics;
+    this.pools = new PoolManager();
+    this.pool = this.pools.createPool(
+      'projectiles',
+      () => new Projectile(),
+      (projectile) => projectile.reset(),
+      GAME_CONSTANTS.PROJECTILE_POOL_SIZE
+    );
+    this.projectiles = [];
+  }
+
+  /**
+   * Launch a projectile (see Projectile.launch for options)
+   */
+  spawn(x, y, angle, type, options = {}) {
+    const projectile = this.pool.get().launch(x, y, angle, type, options);
+    this.projectiles.push(projectile);
+    return projectile;
+  }
+
+  /**
+   * Move every projectile and work out what it hit
+   *
+   * `targets` maps hitbox layers to lists of objects with x, y, health and
+   * getHitbox(). Returns the impacts this frame as
+   * { type, x, y, target, hits: [{ target, damage }] }; applying the damage
+   * is up to the caller.
+   */
+  update(deltaTime, targets) {
+    const impacts = [];
+
+    for (let i = this.projectiles.length - 1; i >= 0; i--) {
+      const projectile = this.projectiles[i];
+      let remaining = projectile.speed * deltaTime;
+      let ended = false;
+      let target = null;
+
+      while (remaining > 0 && !ended) {
+        const step = Math.min(MAX_STEP, remaining);
+        remaining -= step;
+        projectile.advance(step);
+
+        if (!this.physics.isValidPosition(projectile.x, projectile.y, projectile.definition.radius * 0.5, projectile.z, BLOCKS.BULLETS)) {
+          projectile.advance(-step); // Explode in front of the wall
+          ended = true;
+        } else {
+          target = this.findTarget(projectile, targets);
+          ended = target !== null || projectile.travelled >= projectile.range;
+        }
+      }
+
+      if (!ended) continue;
+
+      impacts.push(this.explode(projectile, target, targets));
+      this.projectiles.splice(i, 1);
+      this.pool.release(projectile);
+    }
+
+    return impacts;
+  }
+
+  /**
+   * First live target whose hitbox the projectile overlaps
+   */
+  findTarget(projectile, targets) {
+    for (const layer of projectile.collider.collisionMask) {
+      for (const target of targets[layer] || []) {
+        if (target === projectile.source || target.health <= 0) continue;
+        if (projectile.isAtHeightOf(target) && projectile.hits(target.getHitbox())) return target;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Direct hit plus splash damage around the impact point
+   */
+  explode(projectile, directTarget, targets) {
+    const { x, y } = projectile;
+    const damage = new Map();
+    if (directTarget) {
+      damage.set(directTarget, projectile.damage);
+    }
+
+    // Splash reaches every side, shooter included
+    if (projectile.splash) {
+      const { radius, damage: splashDamage } = projectile.splash;
+      for (const list of Object.values(targets)) {
+        for (const target of list) {
+          if (target.health <= 0) continue;
+          const distance = Math.hypot(target.x - x, target.y - y);
+          if (distance > radius || !this.physics.hasLineOfSight(x, y, target.x, target.y, BLOCKS.BULLETS)) continue;
+          damage.set(target, (damage.get(target) || 0) + splashDamage * (1 - distance / radius));
+        }
+      }
+    }
+
+    return {
+      type: projectile.type,
+      x,
+      y,
+      target: directTarget,
+      hits: Array.from(damage, ([target, amount]) => ({ target, damage: Math.round(amount) })).filter(hit => hit.damage > 0)
+    };
+  }
+
+  getBillboards() {
+    return this.projectiles.map(projectile => projectile.getBillboard(this.physics.getFloorHeight(projectile.x, projectile.y)));
+  }
+
+  /**
+   * Return every projectile to the pool (e.g. on level change)
+   */
+  clear() {
+    this.pool.releaseAll();
+    this.projectiles = [];
+  }
+
+  getStats() {
+    return this.pool.getStats();
+  }
+}
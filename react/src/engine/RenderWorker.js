@@ -0,0 +1,102 @@
+import { Renderer } from './Renderer.js';
+import { FramebufferRenderer } from './FramebufferRenderer.js';
+import { DoorManager } from './Doors.js';
+import { HeightMap } from './Heights.js';
+import { LightingSystem } from './core/LightingSystem.js';
+import { Texture, createCanvas } from './core/Texture.js';
+
+// Render worker
+//
+// Runs the Renderer (or FramebufferRenderer) on a canvas transferred from
+// the main thread by WorkerRenderer. Messages from the main thread:
+//
+//   init      { canvas, renderer, floorQuality }   canvas only the first time
+//   textures  { textures: [[id, image]] }          wall and flat textures
+//   frame     { scene, sheets, lighting, resolutionScale, muzzleFlash }
+//
+// Images are sent as { width, height, pixels, name, color }. Billboards
+// refer to their sprite sheets by id, and `sheets` carries the ones the
+// worker hasn't seen yet. Every frame is answered with { type: 'frame',
+// time } so the main thread never queues up more than one, and the
+// Resolution Scaler can count what the frame cost here.
+
+// Stand-in for the Engine, with what the renderers read from it
+const engine = {
+  config: {},
+  lighting: new LightingSystem(),
+  resolution: { scale: 1 }
+};
+
+const doors = new DoorManager([]);
+const sheets = new Map(); // id -> canvas
+let canvas = null;
+let renderer = null;
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  switch (message.type) {
+    case 'init':
+      canvas = message.canvas || canvas;
+      engine.config = { floorQuality: message.floorQuality };
+      renderer = message.renderer === 'framebuffer' ? new FramebufferRenderer(canvas, engine) : new Renderer(canvas, engine);
+      break;
+    case 'textures':
+      renderer.setWallTextures(new Map(message.textures.map(([id, image]) => [id, createTexture(image)])));
+      break;
+    case 'frame':
+      renderFrame(message);
+      break;
+    default:
+      console.warn('RenderWorker: Unknown message', message.type);
+  }
+};
+
+function renderFrame(message) {
+  const start = performance.now();
+  const { scene } = message;
+
+  for (const sheet of message.sheets) {
+    sheets.set(sheet.id, createImage(sheet));
+  }
+
+  engine.resolution.scale = message.resolutionScale;
+  engine.lighting.applySnapshot(message.lighting);
+  if (scene.doors) {
+    doors.applySnapshot(scene.map, scene.doors);
+  }
+  if (message.muzzleFlash) {
+    renderer.triggerMuzzleFlash();
+  }
+
+  // Point sheet regions back at this side's copies of the sheets
+  for (const billboard of scene.billboards) {
+    if (billboard.texture) {
+      billboard.texture.source = sheets.get(billboard.texture.source);
+    }
+    for (const region of billboard.rotations || []) {
+      region.source = sheets.get(region.source);
+    }
+  }
+
+  renderer.render({
+    ...scene,
+    doors: scene.doors ? doors : null,
+    heights: scene.heights ? HeightMap.fromSnapshot(scene.heights) : null,
+    enemies: new Array(scene.enemyCount),
+    getBillboards: () => scene.billboards
+  });
+
+  self.postMessage({ type: 'frame', time: performance.now() - start });
+}
+
+function createTexture(image) {
+  return new Texture(createImage(image), { name: image.name, color: image.color });
+}
+
+// Canvas holding an image sent as pixels
+function createImage({ width, height, pixels }) {
+  const image = createCanvas(width, height);
+  image.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+  return image;
+}
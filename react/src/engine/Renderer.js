@@ -1,4 +1,20 @@
 import { GAME_CONSTANTS } from './Constants.js';
+import { castRay, traverseGrid, createHit, HIT_SIDE } from './core/Raycaster.js';
+import { createCanvas } from './core/Texture.js';
+import { getTileTexture, isSeeThroughTile } from './Tiles.js';
+
+// Flat surface colours (packed ABGR for ImageData writes)
+export const FLOOR_COLOR = 0xff222222;
+export const CEILING_COLOR = 0xff000000;
+
+// Wall face from the ground to the standard height, unclipped
+export const FULL_WALL = Object.freeze({ bottom: 0, top: 1, clipBottom: Infinity });
+
+// Lids of raised floors and low walls without a texture
+const LID_COLOR = [96, 96, 96];
+
+// Low walls and raised floors remembered per column for clipping sprites
+const MAX_OCCLUDERS = 8;
 
 export class Renderer {
   constructor(canvas, engine) {
@@ -6,6 +22,7 @@ export class Renderer {
     this.ctx = canvas.getContext('2d');
     this.engine = engine;
     this.muzzleFlash = 0;
+    this.wallTextures = new Map();
 
     if (!this.ctx) {
       console.error('Renderer: Failed to get 2D context from canvas');
@@ -15,6 +32,13 @@ export class Renderer {
     this.width = canvas.width || 240;
     this.height = canvas.height || 320;
 
+    // Horizon row and eye height for the current frame (see updateCamera)
+    this.camera = { horizon: this.height / 2, eyeHeight: GAME_CONSTANTS.PLAYER_EYE_HEIGHT };
+    this.heights = null; // the scene's HeightMap while it has heights
+    this.span = { bottom: 0, top: 1, clipBottom: Infinity }; // reused for layered wall faces
+    this.seeThrough = []; // see-through wall columns to draw this frame (see addSeeThrough)
+    this.seeThroughPool = [];
+
     console.log('Renderer initialized', { width: this.width, height: this.height, hasContext: !!this.ctx });
   }
 
@@ -27,20 +51,116 @@ export class Renderer {
       return;
     }
 
-    // Set canvas dimensions from scene if available
+    this.updateSize(scene);
+
+    // Keep texture columns crisp when scaled up
+    this.ctx.imageSmoothingEnabled = false;
+
+    const view = this.beginView();
+    this.updateCamera(scene.player);
+    this.clearCanvas();
+    this.renderBackground(scene);
+    this.renderScene(scene);
+    this.endView(view);
+
+    this.renderMuzzleFlash();
+    this.renderGameStateOverlays(scene);
+    this.renderCrosshair();
+  }
+
+  /**
+   * Set canvas dimensions from the scene if available
+   */
+  updateSize(scene) {
     if (scene.width && scene.height) {
       this.width = scene.width;
       this.height = scene.height;
       this.canvas.width = scene.width;
       this.canvas.height = scene.height;
     }
+  }
 
-    this.clearCanvas();
-    this.renderBackground();
-    this.renderScene(scene);
-    this.renderMuzzleFlash();
-    this.renderGameStateOverlays(scene);
-    this.renderCrosshair();
+  /**
+   * Point width, height and ctx at the internal view surface while the
+   * Resolution Scaler has the resolution turned down
+   *
+   * Returns what endView() needs to go back to the canvas, or null when
+   * drawing straight onto it.
+   */
+  beginView() {
+    const scale = this.getResolutionScale();
+    if (scale >= 1) return null;
+
+    const width = Math.max(1, Math.round(this.width * scale));
+    const height = Math.max(1, Math.round(this.height * scale));
+    const surface = this.getViewSurface(width, height);
+    const view = { ctx: this.ctx, width: this.width, height: this.height, surface };
+
+    this.ctx = surface.ctx;
+    this.width = width;
+    this.height = height;
+    return view;
+  }
+
+  /**
+   * Back to the canvas, upscaling the view surface onto it
+   */
+  endView(view) {
+    if (!view) return;
+
+    const { width, height } = this;
+    this.ctx = view.ctx;
+    this.width = view.width;
+    this.height = view.height;
+
+    this.ctx.imageSmoothingEnabled = false;
+    this.ctx.drawImage(view.surface.canvas, 0, 0, width, height, 0, 0, this.width, this.height);
+
+    // Anything drawn after the view (e.g. the crosshair) is in canvas rows
+    this.camera.horizon *= this.height / height;
+  }
+
+  /**
+   * Internal resolution as a share of the canvas size
+   */
+  getResolutionScale() {
+    return this.engine?.resolution ? this.engine.resolution.scale : 1;
+  }
+
+  /**
+   * Get the surface the view is drawn on at reduced resolution, kept at the
+   * canvas size so every scale fits
+   */
+  getViewSurface(width, height) {
+    let surface = this.viewSurface;
+    if (!surface || surface.canvas.width < width || surface.canvas.height < height) {
+      const canvas = createCanvas(this.width, this.height);
+      surface = { canvas, ctx: canvas.getContext('2d') };
+      surface.ctx.imageSmoothingEnabled = false;
+      this.viewSurface = surface;
+    }
+    return surface;
+  }
+
+  /**
+   * Place the horizon and eye for the player's view
+   *
+   * Looking up or down shears the view rather than rotating it: the
+   * horizon moves `pitch` screen heights, and everything is projected from
+   * an eye `viewHeight` wall heights above the floor (raised by jumping,
+   * lowered by crouching).
+   */
+  updateCamera(player) {
+    this.camera.horizon = this.height / 2 + ((player && player.pitch) || 0) * this.height;
+    this.camera.eyeHeight = (player && player.viewHeight) ?? GAME_CONSTANTS.PLAYER_EYE_HEIGHT;
+  }
+
+  /**
+   * Screen row of a point `z` wall heights above the floor at a
+   * perpendicular distance
+   */
+  projectHeight(z, distance) {
+    return this.camera.horizon + (this.camera.eyeHeight - z) * this.height / distance;
   }
 
   clearCanvas() {
@@ -48,20 +168,26 @@ export class Renderer {
     this.ctx.fillRect(0, 0, this.width, this.height);
   }
 
-  renderBackground() {
+  renderBackground(scene) {
+    if (this.hasTexturedSurfaces(scene)) {
+      this.renderFloorAndCeiling(scene);
+      return;
+    }
+
+    const horizon = Math.min(this.height, Math.max(0, this.camera.horizon));
+
     // Sky
     this.ctx.fillStyle = '#000';
-    this.ctx.fillRect(0, 0, this.width, this.height / 2);
+    this.ctx.fillRect(0, 0, this.width, horizon);
 
     // Ground
     this.ctx.fillStyle = '#222';
-    this.ctx.fillRect(0, this.height / 2, this.width, this.height / 2);
+    this.ctx.fillRect(0, horizon, this.width, this.height - horizon);
   }
 
   renderScene(scene) {
     // Get game data from scene
     const player = scene.player;
-    const enemies = scene.enemies;
     const map = scene.map;
     const rayCount = scene.rayCount;
     const fov = scene.fov;
@@ -71,153 +197,715 @@ export class Renderer {
       return;
     }
 
-    // Dynamic ray count adjustment based on performance
-    let effectiveRayCount = rayCount;
-    if (this.engine && this.engine.fps < 30) {
-      effectiveRayCount = Math.max(15, Math.floor(rayCount * 0.5)); // Reduce to 50% at low FPS
-    } else if (this.engine && this.engine.fps < 45) {
-      effectiveRayCount = Math.max(30, Math.floor(rayCount * 0.75)); // Reduce to 75% at medium FPS
-    }
+    const effectiveRayCount = this.getEffectiveRayCount(rayCount);
 
-    // Collect all renderable objects with their distances
-    const renderQueue = [];
+    // Walls first, recording each column's depth for sprite occlusion
+    const depthBuffer = this.getDepthBuffer(effectiveRayCount);
+    const resolveCell = scene.doors ? scene.doors.resolveRayCell : null;
+
+    // Levels with heights walk every ray on past low walls and floors
+    this.heights = scene.heights && !scene.heights.flat ? scene.heights : null;
+    if (this.heights) {
+      this.resetOccluders(effectiveRayCount);
+    }
+    this.seeThrough.length = 0;
+
+    // Rays pass through grates, fences and glass, which are drawn with the
+    // sprites once whatever is behind them is in place
+    let column = 0;
+    let correction = 1;
+    let layers = 0;
+    const resolveRay = (cell, originX, originY, dirX, dirY) => {
+      if (isSeeThroughTile(cell.tile) && layers < GAME_CONSTANTS.SEE_THROUGH_LAYERS) {
+        const hit = createHit(originX, originY, dirX, dirY, cell);
+        const lightDistance = Math.max(0, hit.distance - 0.01);
+        const light = this.getLight(originX + dirX * lightDistance, originY + dirY * lightDistance);
+        this.addSeeThrough(column, hit, Math.max(0.01, hit.distance * correction), light, FULL_WALL);
+        layers++;
+        return null;
+      }
+      return resolveCell ? resolveCell(cell, originX, originY, dirX, dirY) : undefined;
+    };
 
-    // Add walls to render queue
     for (let x = 0; x < effectiveRayCount; x++) {
       const rayAngle = player.angle - fov / 2 + (x / effectiveRayCount) * fov;
-      const distance = this.castRay(player.x, player.y, rayAngle, map, maxDepth);
-
-      renderQueue.push({
-        type: 'wall',
-        x: x,
-        distance: distance,
-        rayAngle: rayAngle
-      });
+      if (this.heights) {
+        depthBuffer[x] = this.renderLayeredColumn(x, rayAngle, scene, effectiveRayCount, resolveCell);
+        continue;
+      }
+
+      column = x;
+      correction = Math.cos(rayAngle - player.angle);
+      layers = 0;
+      const hit = castRay(map, player.x, player.y, rayAngle, maxDepth, resolveRay);
+
+      // Project with the perpendicular distance to avoid fisheye distortion
+      const perpendicularDistance = Math.max(0.01, hit.distance * correction);
+
+      depthBuffer[x] = perpendicularDistance;
+
+      // Walls take the light of the open cell in front of them
+      const lightDistance = Math.max(0, hit.distance - 0.01);
+      const light = this.getLight(player.x + Math.cos(rayAngle) * lightDistance, player.y + Math.sin(rayAngle) * lightDistance);
+      this.renderWallColumn(x, perpendicularDistance, hit, effectiveRayCount, light);
     }
 
-    // Add enemies to render queue with distance culling
-    if (enemies && Array.isArray(enemies)) {
-      enemies.forEach((enemy, index) => {
-        const dx = enemy.x - player.x;
-        const dy = enemy.y - player.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-
-        // Distance culling - don't render enemies too far away
-        if (distance > maxDepth * 1.5) return;
-
-        // Calculate angle relative to player
-        const angle = Math.atan2(dy, dx) - player.angle;
-
-        // Normalize angle to -PI to PI
-        let normalizedAngle = angle;
-        while (normalizedAngle > Math.PI) normalizedAngle -= 2 * Math.PI;
-        while (normalizedAngle < -Math.PI) normalizedAngle += 2 * Math.PI;
-
-        // Check if enemy is in field of view
-        if (Math.abs(normalizedAngle) < fov / 2) {
-          // Check line of sight (not behind walls)
-          const rayDistance = this.castRay(player.x, player.y, Math.atan2(dy, dx), map, maxDepth);
-          if (rayDistance >= distance) {
-            renderQueue.push({
-              type: 'enemy',
-              enemy: enemy,
-              distance: distance,
-              angle: normalizedAngle,
-              index: index
-            });
-          }
+    // Then billboards and see-through walls, far to near, clipped against
+    // the depth buffer
+    this.renderSprites(this.collectBillboards(scene), player, fov, maxDepth, effectiveRayCount);
+  }
+
+  /**
+   * Draw one column of a level with heights, front to back (multi-hit
+   * raycasting)
+   *
+   * Each cell the ray crosses draws the part of its front face that rises
+   * above the cell before it and, seen from above, its lid, clipped to the
+   * rows nearer cells left open. The ray stops once the column is full or
+   * at a wall as tall as anything in the level. Ground-level floors are left
+   * to the background, and see-through walls to renderSprites(). Returns the
+   * perpendicular distance of the wall that stopped the ray, for the depth
+   * buffer.
+   */
+  renderLayeredColumn(x, rayAngle, scene, rayCount, resolveCell) {
+    const { player } = scene;
+    const { heights, span } = this;
+    const { eyeHeight } = this.camera;
+    const dirX = Math.cos(rayAngle);
+    const dirY = Math.sin(rayAngle);
+    const correction = Math.cos(rayAngle - player.angle);
+    let clipBottom = this.height; // rows from here down belong to nearer cells
+    let depth = scene.maxDepth;
+    let layers = 0;
+
+    // The cell the ray is leaving
+    let cellX = Math.floor(player.x);
+    let cellY = Math.floor(player.y);
+    let top = heights.getFloor(cellX, cellY);
+    let lidTexture = this.getFloorTextureId(scene, cellX, cellY);
+
+    traverseGrid(scene.map, player.x, player.y, dirX, dirY, scene.maxDepth, (cell) => {
+      const entry = Math.max(0.01, cell.distance * correction);
+
+      // Lid of the cell behind, when looking down on it
+      if (top > 0 && eyeHeight > top) {
+        const lidTop = Math.max(0, this.projectHeight(top, entry));
+        if (lidTop < clipBottom) {
+          const light = this.getLight(cellX + 0.5, cellY + 0.5);
+          this.renderLid(x, rayCount, lidTop, clipBottom, lidTexture, light, this.getFog(entry));
+          clipBottom = lidTop;
+          this.addOccluder(x, entry, clipBottom);
         }
-      });
-    }
+      }
+
+      if (cell.tile === null) {
+        return true;
+      }
+
+      // Walls, closed doors and pushwalls; open doorways are floor, and so
+      // is the ground under see-through walls
+      const seeThrough = isSeeThroughTile(cell.tile) && layers < GAME_CONSTANTS.SEE_THROUGH_LAYERS;
+      let hit = null;
+      if (cell.tile !== 0 && !seeThrough) {
+        const resolved = resolveCell ? resolveCell(cell, player.x, player.y, dirX, dirY) : undefined;
+        if (resolved !== null) {
+          hit = resolved || createHit(player.x, player.y, dirX, dirY, cell);
+        }
+      }
+
+      const floor = heights.getFloor(cell.x, cell.y);
+      const cellTop = hit ? heights.getWallTop(cell.x, cell.y) : floor;
+      const near = hit ? Math.max(0.01, hit.distance * correction) : entry;
+
+      // Front face, where it rises above the cell in front
+      if (cellTop > top) {
+        const faceTop = this.projectHeight(cellTop, near);
+        const faceBottom = Math.min(clipBottom, this.projectHeight(top, near));
+        if (faceTop < faceBottom) {
+          // Raised floors show their floor texture on the step
+          const face = hit || { ...createHit(player.x, player.y, dirX, dirY, cell), tile: this.getFloorTextureId(scene, cell.x, cell.y) };
+          span.bottom = hit ? floor : 0;
+          span.top = cellTop;
+          span.clipBottom = faceBottom;
+
+          const lightDistance = Math.max(0, face.distance - 0.01);
+          const light = this.getLight(player.x + dirX * lightDistance, player.y + dirY * lightDistance);
+          this.renderWallColumn(x, near, face, rayCount, light, span);
+          clipBottom = faceTop;
+          this.addOccluder(x, near, clipBottom);
+        }
+      }
 
-    // Sort by distance (closest first for proper depth - render far to near)
-    renderQueue.sort((a, b) => b.distance - a.distance);
+      if (seeThrough) {
+        const face = createHit(player.x, player.y, dirX, dirY, cell);
+        const lightDistance = Math.max(0, face.distance - 0.01);
+        const light = this.getLight(player.x + dirX * lightDistance, player.y + dirY * lightDistance);
+        this.addSeeThrough(x, face, entry, light, { bottom: floor, top: heights.getWallTop(cell.x, cell.y), clipBottom });
+        layers++;
+      }
 
-    // Render in depth order
-    renderQueue.forEach(item => {
-      if (item.type === 'wall') {
-        this.renderWallColumn(item.x, item.distance, item.rayAngle, effectiveRayCount, maxDepth);
-      } else if (item.type === 'enemy') {
-        this.renderEnemySprite(item.enemy, item.distance, item.angle, fov);
+      // Nothing further can show above a wall as tall as the tallest
+      if (clipBottom <= 0 || (hit && cellTop >= heights.maxTop && eyeHeight < cellTop)) {
+        depth = near;
+        return true;
       }
+
+      cellX = cell.x;
+      cellY = cell.y;
+      top = cellTop;
+      lidTexture = hit ? getTileTexture(hit.tile) : this.getFloorTextureId(scene, cell.x, cell.y);
+      return false;
     });
+
+    return depth;
   }
 
-  renderWallColumn(x, distance, rayAngle, rayCount, maxDepth) {
-    const wallHeight = (this.height / 2) / distance;
-    const wallTop = (this.height / 2) - wallHeight;
-    const wallBottom = (this.height / 2) + wallHeight;
-    const shade = 0.7 + 0.3 * (1 - distance / maxDepth);
-    const color = Math.floor(255 * shade);
+  /**
+   * Floor texture ID of a cell
+   */
+  getFloorTextureId(scene, cellX, cellY) {
+    const layer = scene.floorMap;
+    return (layer && layer[cellY] && layer[cellY][cellX]) || scene.floorTexture || 0;
+  }
+
+  /**
+   * Note a see-through wall face in a column, to be drawn over whatever
+   * lies behind it
+   */
+  addSeeThrough(x, hit, distance, light, span) {
+    const index = this.seeThrough.length;
+    const layer = this.seeThroughPool[index] || (this.seeThroughPool[index] = { span: {} });
+    layer.x = x;
+    layer.hit = hit;
+    layer.distance = distance;
+    layer.light = light;
+    layer.span.bottom = span.bottom;
+    layer.span.top = span.top;
+    layer.span.clipBottom = span.clipBottom;
+    this.seeThrough.push(layer);
+  }
+
+  /**
+   * Flat-coloured lid of a raised floor or low wall between two rows
+   */
+  renderLid(x, rayCount, top, bottom, textureId, light, fog) {
+    const [red, green, blue] = this.getLidColor(textureId);
+    const [fogRed, fogGreen, fogBlue] = this.getFogColor();
+    const shade = Math.min(1, light) * (1 - fog);
+
+    this.ctx.fillStyle = `rgb(${Math.floor(red * shade + fogRed * fog)}, ${Math.floor(green * shade + fogGreen * fog)}, ${Math.floor(blue * shade + fogBlue * fog)})`;
+    this.ctx.fillRect((x / rayCount) * this.width, top, this.width / rayCount + 1, bottom - top);
+  }
+
+  /**
+   * Colour ([r, g, b]) lids are drawn in: the base colour of their texture
+   */
+  getLidColor(textureId) {
+    const texture = this.wallTextures.get(textureId);
+    return texture ? texture.color : LID_COLOR;
+  }
+
+  /**
+   * Start a frame's lists of low walls and raised floors in each column
+   */
+  resetOccluders(columns) {
+    if (!this.occluders || this.occluders.count.length !== columns) {
+      this.occluders = {
+        depth: new Float32Array(columns * MAX_OCCLUDERS),
+        row: new Float32Array(columns * MAX_OCCLUDERS),
+        count: new Uint8Array(columns)
+      };
+      return;
+    }
+    this.occluders.count.fill(0);
+  }
+
+  /**
+   * Note that from `depth` on, a column is covered from `row` down
+   *
+   * Rows only ever move up as depth grows. When a column's list is full
+   * the furthest entry is replaced, so sprites in between may show a
+   * little too much.
+   */
+  addOccluder(column, depth, row) {
+    const { occluders } = this;
+    const count = occluders.count[column];
+    const index = column * MAX_OCCLUDERS + Math.min(count, MAX_OCCLUDERS - 1);
+    occluders.depth[index] = depth;
+    occluders.row[index] = row;
+    occluders.count[column] = Math.min(count + 1, MAX_OCCLUDERS);
+  }
+
+  /**
+   * First screen row hidden from a sprite at `depth` in a column by the low
+   * walls and raised floors in front of it (Infinity when none)
+   */
+  getSpriteClip(column, depth) {
+    if (!this.heights) return Infinity;
+
+    const { occluders } = this;
+    const start = column * MAX_OCCLUDERS;
+    const end = start + occluders.count[column];
+    let clip = Infinity;
+    for (let i = start; i < end && occluders.depth[i] <= depth; i++) {
+      clip = occluders.row[i];
+    }
+    return clip;
+  }
+
+  /**
+   * Rays for the current internal resolution
+   */
+  getEffectiveRayCount(rayCount) {
+    return Math.max(1, Math.round(rayCount * this.getResolutionScale()));
+  }
+
+  /**
+   * Check whether the scene defines floor or ceiling textures
+   */
+  hasTexturedSurfaces(scene) {
+    return !!(scene.floorTexture || scene.ceilingTexture || scene.floorMap || scene.ceilingMap);
+  }
+
+  /**
+   * Perspective-correct floor and ceiling casting
+   *
+   * In the default 'fast' quality the surfaces are cast at the wall column
+   * resolution and every other row into a small ImageData, then scaled up
+   * with a single drawImage. 'full' quality casts every pixel.
+   */
+  renderFloorAndCeiling(scene) {
+    const player = scene.player;
+    if (!player) return;
+
+    const fast = (this.engine?.config?.floorQuality || 'fast') === 'fast';
+    const columns = fast ? this.getEffectiveRayCount(scene.rayCount) : this.width;
+    const rowStep = fast ? 2 : 1;
+    const rows = Math.ceil(this.height / rowStep);
+    const surface = this.getFloorSurface(columns, rows);
+
+    this.castFloorAndCeiling(scene, surface.pixels, columns, rows, rowStep);
 
+    surface.ctx.putImageData(surface.imageData, 0, 0);
+    this.ctx.drawImage(surface.canvas, 0, 0, columns, rows, 0, 0, this.width, rows * rowStep);
+  }
+
+  /**
+   * Cast floor and ceiling texels into a pixel buffer of `columns` x `rows`,
+   * each row standing for `rowStep` screen rows
+   */
+  castFloorAndCeiling(scene, pixels, columns, rows, rowStep) {
+    const player = scene.player;
+    const { horizon, eyeHeight } = this.camera;
+    const fov = scene.fov;
+    const [fogRed, fogGreen, fogBlue] = this.getFogColor();
+
+    // Per-column direction, pre-divided by the fisheye correction so that
+    // scaling by a row's perpendicular distance gives the world offset
+    if (!this.rayX || this.rayX.length !== columns) {
+      this.rayX = new Float32Array(columns);
+      this.rayY = new Float32Array(columns);
+    }
+    const rayX = this.rayX;
+    const rayY = this.rayY;
+    for (let x = 0; x < columns; x++) {
+      const rayAngle = player.angle - fov / 2 + (x / columns) * fov;
+      const correction = Math.cos(rayAngle - player.angle);
+      rayX[x] = Math.cos(rayAngle) / correction;
+      rayY[x] = Math.sin(rayAngle) / correction;
+    }
+
+    for (let row = 0; row < rows; row++) {
+      const screenY = row * rowStep + rowStep / 2;
+      const rowOffset = row * columns;
+      const isFloor = screenY > horizon;
+      const offset = Math.abs(screenY - horizon);
+
+      // The ceiling can't be seen from an eye at or above it (raised floors)
+      const planeDistance = isFloor ? eyeHeight : 1 - eyeHeight;
+      if (offset < 1 || planeDistance <= 0) {
+        pixels.fill(CEILING_COLOR, rowOffset, rowOffset + columns);
+        continue;
+      }
+
+      // Distance where the floor (or ceiling) meets this row's sight line
+      const rowDistance = planeDistance * this.height / offset;
+      const layer = isFloor ? scene.floorMap : scene.ceilingMap;
+      const defaultId = (isFloor ? scene.floorTexture : scene.ceilingTexture) || 0;
+      const flatColor = isFloor ? FLOOR_COLOR : CEILING_COLOR;
+
+      // Fog is the same along a row; light changes per cell
+      const fog = this.getFog(rowDistance);
+      const clear = (1 - fog) * 256;
+      const fogR = Math.floor(fogRed * fog);
+      const fogG = Math.floor(fogGreen * fog);
+      const fogB = Math.floor(fogBlue * fog);
+
+      let textureId = -1;
+      let texels = null;
+      let textureWidth = 0;
+      let textureHeight = 0;
+
+      for (let x = 0; x < columns; x++) {
+        const worldX = player.x + rayX[x] * rowDistance;
+        const worldY = player.y + rayY[x] * rowDistance;
+        const cellX = Math.floor(worldX);
+        const cellY = Math.floor(worldY);
+        const id = (layer && layer[cellY] && layer[cellY][cellX]) || defaultId;
+
+        if (id !== textureId) {
+          textureId = id;
+          const texture = this.wallTextures.get(id);
+          texels = texture ? texture.getPixels32() : null;
+          textureWidth = texture ? texture.width : 0;
+          textureHeight = texture ? texture.height : 0;
+        }
+
+        let color = flatColor;
+        if (texels) {
+          const tx = Math.floor((worldX - cellX) * textureWidth);
+          const ty = Math.floor((worldY - cellY) * textureHeight);
+          color = texels[ty * textureWidth + tx];
+        }
+
+        const light = Math.floor(this.getLight(worldX, worldY) * clear);
+        const r = (((color & 0xff) * light) >> 8) + fogR;
+        const g = ((((color >> 8) & 0xff) * light) >> 8) + fogG;
+        const b = ((((color >> 16) & 0xff) * light) >> 8) + fogB;
+        pixels[rowOffset + x] = 0xff000000 | (b << 16) | (g << 8) | r;
+      }
+    }
+  }
+
+  /**
+   * Get the reusable low-resolution surface for floor casting
+   */
+  getFloorSurface(columns, rows) {
+    const surface = this.floorSurface;
+    if (surface && surface.columns === columns && surface.rows === rows) {
+      return surface;
+    }
+
+    const canvas = createCanvas(columns, rows);
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(columns, rows);
+
+    this.floorSurface = {
+      columns,
+      rows,
+      canvas,
+      ctx,
+      imageData,
+      pixels: new Uint32Array(imageData.data.buffer)
+    };
+    return this.floorSurface;
+  }
+
+  /**
+   * Get the per-column depth buffer, resized to the current column count
+   */
+  getDepthBuffer(columns) {
+    if (!this.depthBuffer || this.depthBuffer.length !== columns) {
+      this.depthBuffer = new Float32Array(columns);
+    }
+    return this.depthBuffer;
+  }
+
+  /**
+   * Gather billboard descriptors ({ x, y, size, width, elevation, color,
+   * texture, healthPercent, fullbright }) from the scene
+   *
+   * `fullbright` sprites ignore the light level. Directional sprites give
+   * `rotations` (one region per 45 degrees, the first facing the viewer)
+   * and their facing `angle` instead of a texture. Scenes expose
+   * getBillboards(); otherwise enemies are used.
+   */
+  collectBillboards(scene) {
+    if (typeof scene.getBillboards === 'function') {
+      return scene.getBillboards();
+    }
+    return Array.isArray(scene.enemies) ? scene.enemies.map(enemy => enemy.getBillboard()) : [];
+  }
+
+  /**
+   * Set the wall textures used for map values 1..N
+   */
+  setWallTextures(textures) {
+    this.wallTextures = textures;
+  }
+
+  /**
+   * Draw a wall face in a column
+   *
+   * `span` gives the face's bottom and top heights and the screen row it is
+   * cut off at. Textures repeat every wall height up from the bottom.
+   * See-through walls leave their texture's transparent texels undrawn.
+   */
+  renderWallColumn(x, distance, hit, rayCount, light, span = FULL_WALL) {
+    const wallTop = this.projectHeight(span.top, distance);
+    const wallBottom = Math.min(this.projectHeight(span.bottom, distance), span.clipBottom);
+    if (wallBottom <= wallTop) return;
+    const fog = this.getFog(distance);
+    let shade = light;
+
+    // North/south faces slightly darker so corners read clearly
+    if (hit.side === HIT_SIDE.NORTH || hit.side === HIT_SIDE.SOUTH) {
+      shade *= 0.85;
+    }
+
+    const screenX = (x / rayCount) * this.width;
+    const columnWidth = this.width / rayCount + 1;
+    const texture = this.wallTextures.get(getTileTexture(hit.tile));
+
+    if (texture) {
+      // Sample the single texture column at the exact hit coordinate, once
+      // per repeat. See-through walls shade only their own texels, so the
+      // gaps stay clear.
+      const column = texture.getColumn(hit.textureX);
+      const masked = isSeeThroughTile(hit.tile);
+      const source = masked
+        ? this.shadeTexture({ source: texture.source, x: column, y: 0, width: 1, height: texture.height }, shade, fog)
+        : { source: texture.source, x: column };
+      const rowsPerUnit = this.height / distance;
+      for (let base = span.bottom; base < span.top; base++) {
+        const repeatTop = Math.min(span.top, base + 1);
+        const top = this.projectHeight(repeatTop, distance);
+        const bottom = Math.min(this.projectHeight(base, distance), wallBottom);
+        if (bottom <= top) continue;
+
+        this.ctx.drawImage(
+          source.source,
+          source.x, (1 - (repeatTop - base)) * texture.height, 1, ((bottom - top) / rowsPerUnit) * texture.height,
+          screenX, top, columnWidth, bottom - top
+        );
+      }
+
+      if (!masked) {
+        this.shadeRect(this.ctx, screenX, wallTop, columnWidth, wallBottom - wallTop, shade, fog);
+      }
+      return;
+    }
+
+    const color = Math.floor(255 * shade);
     this.ctx.fillStyle = `rgb(${color}, ${Math.floor(color * 0.8)}, ${Math.floor(color * 0.5)})`;
-    this.ctx.fillRect(
-      (x / rayCount) * this.width,
-      wallTop,
-      this.width / rayCount + 1,
-      wallBottom - wallTop
-    );
+    this.ctx.fillRect(screenX, wallTop, columnWidth, wallBottom - wallTop);
+    this.shadeRect(this.ctx, screenX, wallTop, columnWidth, wallBottom - wallTop, 1, fog);
   }
 
-  renderEnemySprite(enemy, distance, angle, fov) {
-    if (!enemy || typeof enemy.health === 'undefined' || typeof enemy.state === 'undefined') return;
+  /**
+   * Light level (0-1) at a world position
+   */
+  getLight(x, y) {
+    return this.engine?.lighting ? this.engine.lighting.getLight(x, y) : 1;
+  }
 
-    // Calculate screen position
-    const screenX = (angle / (fov / 2)) * (this.width / 2) + this.width / 2;
-    const wallHeight = (this.height / 2) / distance;
-    const enemyHeight = wallHeight * (enemy.size || 0.5);
-    const enemyTop = (this.height / 2) - enemyHeight / 2;
-    const enemyBottom = (this.height / 2) + enemyHeight / 2;
-
-    // Draw enemy sprite
-    const color = enemy.state === 'chasing' ? GAME_CONSTANTS.ENEMY_COLOR_CHASING : GAME_CONSTANTS.ENEMY_COLOR_IDLE;
-    this.ctx.fillStyle = color;
-    this.ctx.fillRect(
-      screenX - enemyHeight / 4,
-      enemyTop,
-      enemyHeight / 2,
-      enemyHeight
-    );
-
-    // Draw health bar
-    const barWidth = enemyHeight / 2;
-    const barHeight = 4;
-    const healthPercent = enemy.health / GAME_CONSTANTS.ENEMY_HEALTH;
+  /**
+   * Share of the fog colour mixed in at a distance (0-1)
+   */
+  getFog(distance) {
+    return this.engine?.lighting ? this.engine.lighting.getFog(distance) : 0;
+  }
 
-    this.ctx.fillStyle = '#000';
-    this.ctx.fillRect(screenX - barWidth / 2, enemyTop - 8, barWidth, barHeight);
+  getFogColor() {
+    return this.engine?.lighting ? this.engine.lighting.fog.color : [0, 0, 0];
+  }
 
-    this.ctx.fillStyle = healthPercent > 0.5 ? '#0f0' : healthPercent > 0.25 ? '#ff0' : '#f00';
-    this.ctx.fillRect(screenX - barWidth / 2, enemyTop - 8, barWidth * healthPercent, barHeight);
+  /**
+   * Darken a rectangle to a light level, then mix in the fog colour
+   */
+  shadeRect(ctx, left, top, width, height, light, fog) {
+    if (light < 1) {
+      ctx.fillStyle = `rgba(0, 0, 0, ${1 - light})`;
+      ctx.fillRect(left, top, width, height);
+    }
+    if (fog > 0) {
+      const [r, g, b] = this.getFogColor();
+      ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${fog})`;
+      ctx.fillRect(left, top, width, height);
+    }
   }
 
-  castRay(originX, originY, angle, map, maxDepth) {
-    if (!map || !Array.isArray(map) || map.length === 0 || !Array.isArray(map[0])) {
-      return maxDepth;
+  /**
+   * Copy of a sprite texture shaded to a light level and fogged, drawn on a
+   * scratch canvas that the next sprite reuses
+   */
+  shadeTexture(texture, light, fog) {
+    if (light >= 1 && fog <= 0) return texture;
+
+    let canvas = this.shadeCanvas;
+    if (!canvas || canvas.width < texture.width || canvas.height < texture.height) {
+      canvas = createCanvas(Math.max(texture.width, canvas ? canvas.width : 0), Math.max(texture.height, canvas ? canvas.height : 0));
+      this.shadeCanvas = canvas;
+      this.shadeCtx = canvas.getContext('2d');
+    }
+
+    const ctx = this.shadeCtx;
+    ctx.clearRect(0, 0, texture.width, texture.height);
+    ctx.drawImage(texture.source, texture.x || 0, texture.y || 0, texture.width, texture.height, 0, 0, texture.width, texture.height);
+
+    // Only tint the sprite's own pixels, not its transparent surroundings
+    ctx.globalCompositeOperation = 'source-atop';
+    this.shadeRect(ctx, 0, 0, texture.width, texture.height, light, fog);
+    ctx.globalCompositeOperation = 'source-over';
+
+    return { source: canvas, x: 0, y: 0, width: texture.width, height: texture.height };
+  }
+
+  renderSprites(billboards, player, fov, maxDepth, rayCount) {
+    const visible = [];
+
+    for (const billboard of billboards) {
+      const dx = billboard.x - player.x;
+      const dy = billboard.y - player.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+
+      // Distance culling - don't render sprites too far away
+      if (distance > maxDepth * 1.5) continue;
+
+      // Calculate angle relative to player, normalized to -PI to PI
+      let angle = Math.atan2(dy, dx) - player.angle;
+      while (angle > Math.PI) angle -= 2 * Math.PI;
+      while (angle < -Math.PI) angle += 2 * Math.PI;
+
+      // Perpendicular depth, matching the wall depth buffer
+      const depth = distance * Math.cos(angle);
+      if (depth < 0.1) continue;
+
+      visible.push({ billboard, depth, angle });
+    }
+
+    visible.sort((a, b) => b.depth - a.depth);
+
+    // See-through wall columns go in between, each drawn before the sprites
+    // in front of it
+    const layers = this.seeThrough.sort((a, b) => b.distance - a.distance);
+    let next = 0;
+
+    for (const item of visible) {
+      for (; next < layers.length && layers[next].distance > item.depth; next++) {
+        this.renderSeeThrough(layers[next], rayCount);
+      }
+      const texture = this.getSpriteTexture(item.billboard, player);
+      this.renderSprite(item.billboard, texture, item.depth, item.angle, fov, rayCount);
+    }
+
+    for (; next < layers.length; next++) {
+      this.renderSeeThrough(layers[next], rayCount);
     }
+  }
+
+  renderSeeThrough(layer, rayCount) {
+    this.renderWallColumn(layer.x, layer.distance, layer.hit, rayCount, layer.light, layer.span);
+  }
 
-    const sin = Math.sin(angle);
-    const cos = Math.cos(angle);
-    let x = originX;
-    let y = originY;
-    const mapWidth = map[0].length;
-    const mapHeight = map.length;
-
-    for (let depth = 0; depth < maxDepth; depth += 0.05) {
-      const testX = Math.floor(x);
-      const testY = Math.floor(y);
-
-      if (testX < 0 || testX >= mapWidth ||
-          testY < 0 || testY >= mapHeight ||
-          map[testY][testX] === 1) {
-        return depth;
+  /**
+   * Texture to draw for a billboard, picking the rotation of a directional
+   * sprite from the angle between its facing and the viewer
+   */
+  getSpriteTexture(billboard, viewer) {
+    const { rotations } = billboard;
+    if (!rotations) return billboard.texture;
+
+    const step = (Math.PI * 2) / rotations.length;
+    let offset = Math.atan2(viewer.y - billboard.y, viewer.x - billboard.x) - (billboard.angle || 0);
+    offset = ((offset % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+    return rotations[Math.round(offset / step) % rotations.length];
+  }
+
+  /**
+   * Screen rectangle of a billboard ({ screenX, left, top, width, height })
+   */
+  projectSprite(billboard, depth, angle, fov) {
+    // Sprites stand on the floor and are sized relative to a wall
+    const screenX = (angle / (fov / 2)) * (this.width / 2) + this.width / 2;
+    const height = (this.height / depth) * (billboard.size || 0.5);
+    const width = height * (billboard.width || 0.5);
+    // `elevation` (in wall heights) lifts hovering sprites off the floor
+    const floor = this.heights ? this.heights.getFloorHeight(billboard.x, billboard.y) : 0;
+    const bottom = this.projectHeight(floor + (billboard.elevation || 0), depth);
+    return { screenX, left: screenX - width / 2, top: bottom - height, width, height };
+  }
+
+  renderSprite(billboard, texture, depth, angle, fov, rayCount) {
+    const sprite = this.projectSprite(billboard, depth, angle, fov);
+    const spriteRight = sprite.left + sprite.width;
+
+    const columnWidth = this.width / rayCount;
+    const firstColumn = Math.max(0, Math.floor(sprite.left / columnWidth));
+    const lastColumn = Math.min(rayCount - 1, Math.floor(spriteRight / columnWidth));
+    if (firstColumn > lastColumn) return;
+
+    // One light level and fog amount for the whole sprite
+    const light = billboard.fullbright ? 1 : this.getLight(billboard.x, billboard.y);
+    const fog = this.getFog(depth);
+    const shaded = texture ? this.shadeTexture(texture, light, fog) : null;
+
+    // Draw column by column, skipping columns where a wall is closer
+    for (let column = firstColumn; column <= lastColumn; column++) {
+      if (depth >= this.depthBuffer[column]) continue;
+
+      // Low walls and raised floors in front hide the bottom of the sprite
+      const visible = Math.min(1, (this.getSpriteClip(column, depth) - sprite.top) / sprite.height);
+      if (visible <= 0) continue;
+
+      const sliceLeft = Math.max(sprite.left, column * columnWidth);
+      const sliceRight = Math.min(spriteRight, (column + 1) * columnWidth);
+      if (sliceRight <= sliceLeft) continue;
+
+      this.drawSpriteSlice(
+        billboard, shaded,
+        sliceLeft, sliceRight, sprite.top, sprite.height,
+        (sliceLeft - sprite.left) / sprite.width,
+        (sliceRight - sprite.left) / sprite.width,
+        visible
+      );
+      if (!shaded) {
+        this.shadeRect(this.ctx, sliceLeft, sprite.top, sliceRight - sliceLeft, sprite.height * visible, light, fog);
       }
+    }
+
+    this.renderSpriteHealthBar(billboard, sprite, depth, rayCount);
+  }
 
-      x += cos * 0.05;
-      y += sin * 0.05;
+  /**
+   * Health bar above a sprite, only when the sprite's centre is in view
+   */
+  renderSpriteHealthBar(billboard, sprite, depth, rayCount) {
+    const centerColumn = Math.floor(sprite.screenX / (this.width / rayCount));
+    if (typeof billboard.healthPercent === 'number' &&
+        centerColumn >= 0 && centerColumn < rayCount &&
+        depth < this.depthBuffer[centerColumn]) {
+      this.renderHealthBar(sprite.screenX, sprite.top, sprite.width, billboard.healthPercent);
     }
+  }
+
+  /**
+   * Draw the part of a sprite between two texture-space coordinates (0-1),
+   * down to `visible` of its height
+   *
+   * Textures may be regions of a sheet ({ source, x, y, width, height }).
+   */
+  drawSpriteSlice(billboard, texture, left, right, top, height, u0, u1, visible = 1) {
+    if (texture) {
+      const sourceX = (texture.x || 0) + u0 * texture.width;
+      const sourceWidth = Math.max(1, (u1 - u0) * texture.width);
+      this.ctx.drawImage(texture.source, sourceX, texture.y || 0, sourceWidth, texture.height * visible, left, top, right - left, height * visible);
+      return;
+    }
+
+    this.ctx.fillStyle = billboard.color || GAME_CONSTANTS.ENEMY_COLOR_IDLE;
+    this.ctx.fillRect(left, top, right - left, height * visible);
+  }
 
-    return maxDepth;
+  renderHealthBar(screenX, spriteTop, spriteWidth, healthPercent) {
+    const barWidth = spriteWidth;
+    const barHeight = 4;
+
+    this.ctx.fillStyle = '#000';
+    this.ctx.fillRect(screenX - barWidth / 2, spriteTop - 8, barWidth, barHeight);
+
+    this.ctx.fillStyle = healthPercent > 0.5 ? '#0f0' : healthPercent > 0.25 ? '#ff0' : '#f00';
+    this.ctx.fillRect(screenX - barWidth / 2, spriteTop - 8, barWidth * healthPercent, barHeight);
   }
 
   renderGameStateOverlays(scene) {
@@ -248,14 +936,20 @@ export class Renderer {
     this.ctx.fillText(message, this.width / 2, this.height / 2);
   }
 
+  /**
+   * Draw the crosshair on the horizon, the eye-level row hitscan shots
+   * travel along whatever the pitch
+   */
   renderCrosshair() {
+    const x = this.width / 2;
+    const y = this.camera.horizon;
     this.ctx.strokeStyle = GAME_CONSTANTS.CROSSHAIR_COLOR;
     this.ctx.lineWidth = 2;
     this.ctx.beginPath();
-    this.ctx.moveTo(this.width / 2 - 10, this.height / 2);
-    this.ctx.lineTo(this.width / 2 + 10, this.height / 2);
-    this.ctx.moveTo(this.width / 2, this.height / 2 - 10);
-    this.ctx.lineTo(this.width / 2, this.height / 2 + 10);
+    this.ctx.moveTo(x - 10, y);
+    this.ctx.lineTo(x + 10, y);
+    this.ctx.moveTo(x, y - 10);
+    this.ctx.lineTo(x, y + 10);
     this.ctx.stroke();
   }
 
@@ -0,0 +1,100 @@
+// Map tile types
+//
+// 0 is empty floor and any other value is a plain wall using the texture
+// with that ID, except for these special codes:
+//   20       door
+//   21-23    locked door (red, blue, yellow key)
+//   31-39    secret pushwall that looks like wall texture (code - 30);
+//            30 is not a pushwall, as it would come to rest as empty floor
+//   40-42    see-through wall: grate, fence, glass (see SEE_THROUGH_TILES)
+
+export const TILE = {
+  EMPTY: 0,
+  DOOR: 20,
+  DOOR_RED: 21,
+  DOOR_BLUE: 22,
+  DOOR_YELLOW: 23,
+  PUSHWALL: 30,
+  GRATE: 40,
+  FENCE: 41,
+  GLASS: 42
+};
+
+export const TILE_TYPE = {
+  EMPTY: 'empty',
+  WALL: 'wall',
+  DOOR: 'door',
+  PUSHWALL: 'pushwall',
+  SEE_THROUGH: 'seeThrough'
+};
+
+// What a tile can stop, for tileBlocks()
+export const BLOCKS = {
+  MOVEMENT: 'movement',
+  BULLETS: 'bullets',
+  SIGHT: 'sight'
+};
+
+// See-through walls with alpha-masked textures: the texture ID they are
+// drawn with and what they stop. Rays carry on through the gaps to draw
+// whatever is behind them.
+export const SEE_THROUGH_TILES = {
+  [TILE.GRATE]: { texture: 12, movement: true, bullets: false, sight: false },
+  [TILE.FENCE]: { texture: 13, movement: true, bullets: false, sight: false },
+  [TILE.GLASS]: { texture: 14, movement: true, bullets: true, sight: false }
+};
+
+const DOOR_KEYS = {
+  [TILE.DOOR]: null,
+  [TILE.DOOR_RED]: 'red',
+  [TILE.DOOR_BLUE]: 'blue',
+  [TILE.DOOR_YELLOW]: 'yellow'
+};
+
+// Texture IDs used to draw each door (see GAME_CONSTANTS.WALL_TEXTURES)
+const DOOR_TEXTURES = {
+  [TILE.DOOR]: 8,
+  [TILE.DOOR_RED]: 9,
+  [TILE.DOOR_BLUE]: 10,
+  [TILE.DOOR_YELLOW]: 11
+};
+
+export function getTileType(tile) {
+  if (!tile) return TILE_TYPE.EMPTY;
+  if (tile in DOOR_KEYS) return TILE_TYPE.DOOR;
+  if (tile > TILE.PUSHWALL && tile < TILE.PUSHWALL + 10) return TILE_TYPE.PUSHWALL;
+  if (tile in SEE_THROUGH_TILES) return TILE_TYPE.SEE_THROUGH;
+  return TILE_TYPE.WALL;
+}
+
+export function isSeeThroughTile(tile) {
+  return tile in SEE_THROUGH_TILES;
+}
+
+/**
+ * Check whether a tile stops movement, bullets or sight (a BLOCKS value)
+ *
+ * Plain walls stop everything. Doors and pushwalls count as walls here;
+ * how far open they are is up to the DoorManager.
+ */
+export function tileBlocks(tile, blocking) {
+  const seeThrough = SEE_THROUGH_TILES[tile];
+  return seeThrough ? seeThrough[blocking] : !!tile;
+}
+
+/**
+ * Key colour needed to open a door tile (null when unlocked)
+ */
+export function getDoorKey(tile) {
+  return DOOR_KEYS[tile] || null;
+}
+
+/**
+ * Texture ID used to draw a tile
+ */
+export function getTileTexture(tile) {
+  if (tile in DOOR_TEXTURES) return DOOR_TEXTURES[tile];
+  if (getTileType(tile) === TILE_TYPE.PUSHWALL) return tile - TILE.PUSHWALL;
+  if (tile in SEE_THROUGH_TILES) return SEE_THROUGH_TILES[tile].texture;
+  return tile;
+}
@@ -0,0 +1,299 @@
+import { GAME_CONSTANTS } from './Constants.js';
+import { BLOCKS } from './Tiles.js';
+
+// Weapon and ammo definitions
+//
+// Each weapon fires `pellets` hitscan traces scattered at random across
+// `spread` radians. Damage is full up to `falloff.start` cells and drops
+// linearly to `falloff.min` of full damage at `range`. `aimAssist` widens
+// the target (radians) to make aiming on small screens forgiving.
+// `fireRate` is the time between shots in ms, and `noise` how far away (in
+// cells) enemies can hear it. Weapons with a `projectile` launch that
+// PROJECTILE_TYPES entry (with `damage` for a direct hit) instead.
+
+export const AMMO_TYPES = {
+  bullets: { name: 'Bullets', max: GAME_CONSTANTS.MAX_AMMO },
+  shells: { name: 'Shells', max: GAME_CONSTANTS.MAX_SHELLS },
+  rockets: { name: 'Rockets', max: GAME_CONSTANTS.MAX_ROCKETS }
+};
+
+export const WEAPONS = {
+  fist: {
+    name: 'Fist',
+    ammoType: null,
+    ammoPerShot: 0,
+    fireRate: 450,
+    damage: 25,
+    range: 1.3,
+    pellets: 1,
+    spread: 0,
+    aimAssist: Math.PI / 6,
+    falloff: null,
+    muzzleFlash: false,
+    noise: 0,
+    sound: { frequency: 120, duration: 0.08, type: 'triangle', volume: 0.2 },
+    sprite: { style: 'fist', color: [210, 160, 120] }
+  },
+  pistol: {
+    name: 'Pistol',
+    ammoType: 'bullets',
+    ammoPerShot: 1,
+    fireRate: 350,
+    damage: 50,
+    range: 12,
+    pellets: 1,
+    spread: 0,
+    aimAssist: Math.PI / 12,
+    falloff: { start: 5, min: 0.5 },
+    muzzleFlash: true,
+    noise: 10,
+    sound: { frequency: 800, duration: 0.1, type: 'square', volume: 0.3 },
+    sprite: { style: 'pistol', color: [120, 120, 130] }
+  },
+  shotgun: {
+    name: 'Shotgun',
+    ammoType: 'shells',
+    ammoPerShot: 1,
+    fireRate: 900,
+    damage: 20,
+    range: 10,
+    pellets: 7,
+    spread: 0.22,
+    aimAssist: 0.03,
+    falloff: { start: 2, min: 0.2 },
+    muzzleFlash: true,
+    noise: 14,
+    sound: { frequency: 300, duration: 0.25, type: 'sawtooth', volume: 0.35 },
+    sprite: { style: 'shotgun', color: [110, 80, 50] }
+  },
+  chaingun: {
+    name: 'Chaingun',
+    ammoType: 'bullets',
+    ammoPerShot: 1,
+    fireRate: 110,
+    damage: 22,
+    range: 12,
+    pellets: 1,
+    spread: 0.06,
+    aimAssist: Math.PI / 16,
+    falloff: { start: 4, min: 0.5 },
+    muzzleFlash: true,
+    noise: 12,
+    sound: { frequency: 950, duration: 0.06, type: 'square', volume: 0.25 },
+    sprite: { style: 'chaingun', color: [90, 95, 105] }
+  },
+  launcher: {
+    name: 'Rocket launcher',
+    ammoType: 'rockets',
+    ammoPerShot: 1,
+    fireRate: 800,
+    damage: 40,
+    range: 30,
+    pellets: 1,
+    spread: 0,
+    aimAssist: 0,
+    falloff: null,
+    muzzleFlash: true,
+    noise: 14,
+    projectile: 'rocket',
+    sound: { frequency: 90, duration: 0.3, type: 'sawtooth', volume: 0.35 },
+    sprite: { style: 'launcher', color: [80, 90, 70] }
+  }
+};
+
+// Switching order, also the number key for each weapon
+export const WEAPON_ORDER = ['fist', 'pistol', 'shotgun', 'chaingun', 'launcher'];
+
+/**
+ * Damage a weapon deals at a distance
+ */
+export function getWeaponDamage(weapon, distance) {
+  if (!weapon.falloff || distance <= weapon.falloff.start) {
+    return weapon.damage;
+  }
+  const t = Math.min(1, (distance - weapon.falloff.start) / (weapon.range - weapon.falloff.start));
+  return weapon.damage * (1 - t * (1 - weapon.falloff.min));
+}
+
+// Current weapon, fire rate and hitscan for the player
+export class WeaponManager {
+  constructor(player, random = Math.random) {
+    this.player = player;
+    this.random = random;
+    this.currentId = 'pistol';
+    this.cooldown = 0;
+    this.kick = 0; // 1 right after firing, eases back to 0 (HUD recoil)
+  }
+
+  get current() {
+    return WEAPONS[this.currentId];
+  }
+
+  update(deltaTime) {
+    this.cooldown = Math.max(0, this.cooldown - deltaTime);
+    this.kick = Math.max(0, this.kick - deltaTime / 150);
+  }
+
+  hasAmmoFor(id) {
+    const weapon = WEAPONS[id];
+    return !weapon.ammoType || this.player.getAmmo(weapon.ammoType) >= weapon.ammoPerShot;
+  }
+
+  /**
+   * Ammo left for the current weapon (null for melee)
+   */
+  getCurrentAmmo() {
+    const weapon = this.current;
+    return weapon.ammoType ? this.player.getAmmo(weapon.ammoType) : null;
+  }
+
+  /**
+   * Switch to a weapon by id; returns false when it has no ammo
+   */
+  select(id) {
+    if (!WEAPONS[id] || !this.hasAmmoFor(id)) return false;
+    if (id !== this.currentId) {
+      this.currentId = id;
+      this.cooldown = Math.max(this.cooldown, 200); // Raise time
+    }
+    return true;
+  }
+
+  /**
+   * Step through the weapons that have ammo (direction 1 or -1)
+   */
+  cycle(direction) {
+    const start = WEAPON_ORDER.indexOf(this.currentId);
+    for (let step = 1; step < WEAPON_ORDER.length; step++) {
+      const index = ((start + direction * step) % WEAPON_ORDER.length + WEAPON_ORDER.length) % WEAPON_ORDER.length;
+      if (this.select(WEAPON_ORDER[index])) {
+        return WEAPON_ORDER[index];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Switch to the highest weapon that still has ammo
+   */
+  selectBest() {
+    for (let i = WEAPON_ORDER.length - 1; i >= 0; i--) {
+      if (this.select(WEAPON_ORDER[i])) return WEAPON_ORDER[i];
+    }
+    return null;
+  }
+
+  /**
+   * Fire the current weapon at a list of targets ({ x, y, size })
+   *
+   * Returns null while the weapon is cycling, { empty: true } when out of
+   * ammo, otherwise { weapon, hits: [{ target, damage, distance }] } with
+   * pellet damage added up per target. Projectile weapons return no hits;
+   * the caller launches the projectile.
+   */
+  fire(targets, physics) {
+    if (this.cooldown > 0) return null;
+
+    const weapon = this.current;
+    if (weapon.ammoType && !this.player.useAmmo(weapon.ammoType, weapon.ammoPerShot)) {
+      return { weapon, empty: true, hits: [] };
+    }
+
+    this.cooldown = weapon.fireRate;
+    this.kick = 1;
+    if (weapon.projectile) {
+      return { weapon, empty: false, hits: [] };
+    }
+
+    const hits = new Map();
+    for (let i = 0; i < weapon.pellets; i++) {
+      const angle = this.player.angle + (this.random() - 0.5) * weapon.spread;
+      const hit = this.trace(angle, weapon, targets, physics);
+      if (!hit) continue;
+
+      const entry = hits.get(hit.target) || { target: hit.target, damage: 0, distance: hit.distance };
+      entry.damage += getWeaponDamage(weapon, hit.distance);
+      hits.set(hit.target, entry);
+    }
+
+    return { weapon, empty: false, hits: Array.from(hits.values()) };
+  }
+
+  /**
+   * Find the nearest target a hitscan ray hits, with walls blocking it
+   */
+  trace(angle, weapon, targets, physics) {
+    const { x, y } = this.player;
+    const candidates = [];
+
+    for (const target of targets) {
+      const dx = target.x - x;
+      const dy = target.y - y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      if (distance > weapon.range) continue;
+
+      let diff = Math.atan2(dy, dx) - angle;
+      diff = Math.atan2(Math.sin(diff), Math.cos(diff));
+      const halfWidth = Math.atan2(target.size / 2, distance) + weapon.aimAssist;
+      if (Math.abs(diff) > halfWidth) continue;
+
+      candidates.push({ target, distance });
+    }
+
+    candidates.sort((a, b) => a.distance - b.distance);
+    return candidates.find(({ target }) => physics.hasLineOfSight(x, y, target.x, target.y, BLOCKS.BULLETS)) || null;
+  }
+}
+
+/**
+ * Draw the first-person weapon sprite at the bottom centre of the screen
+ */
+export function drawWeaponSprite(ctx, weapon, width, height, kick = 0) {
+  const { style, color } = weapon.sprite;
+  const scale = Math.min(width, height) / 240;
+  const tone = (factor) => `rgb(${Math.min(255, Math.floor(color[0] * factor))}, ${Math.min(255, Math.floor(color[1] * factor))}, ${Math.min(255, Math.floor(color[2] * factor))})`;
+  const cx = width / 2;
+  const bottom = height + kick * 10 * scale;
+  const rect = (x, y, w, h, factor = 1) => {
+    ctx.fillStyle = tone(factor);
+    ctx.fillRect(cx + x * scale, bottom - y * scale, w * scale, h * scale);
+  };
+
+  ctx.save();
+  switch (style) {
+    case 'fist':
+      // Punch reaches up into the view
+      rect(-6, 46 + kick * 40, 36, 46, 1);
+      rect(-6, 52 + kick * 40, 36, 8, 0.8);
+      rect(30, 40 + kick * 40, 10, 24, 0.9);
+      break;
+    case 'pistol':
+      rect(-8, 70, 16, 36, 1);
+      rect(-12, 40, 24, 40, 0.7);
+      rect(-3, 74, 6, 4, 0.4);
+      break;
+    case 'shotgun':
+      rect(-14, 80, 12, 60, 1);
+      rect(2, 80, 12, 60, 1);
+      rect(-18, 34, 36, 34, 0.6);
+      rect(-10, 60, 20, 10, 1.3);
+      break;
+    case 'chaingun':
+      for (let i = -2; i <= 2; i++) {
+        rect(i * 7 - 3, 86, 6, 50, i % 2 === 0 ? 1 : 0.8);
+      }
+      rect(-22, 40, 44, 40, 0.6);
+      rect(-6, 46, 12, 6, 1.4);
+      break;
+    case 'launcher':
+      rect(-16, 96, 32, 70, 1);
+      rect(-12, 100, 24, 6, 0.4);
+      rect(-24, 40, 48, 30, 0.7);
+      rect(-4, 30, 8, 14, 0.5);
+      break;
+    default:
+      rect(-10, 60, 20, 60, 1);
+      break;
+  }
+  ctx.restore();
+}
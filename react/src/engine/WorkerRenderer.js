@@ -0,0 +1,247 @@
+import { Texture } from './core/Texture.js';
+
+// Renderer that raycasts in a Web Worker
+//
+// The game canvas is handed to RenderWorker.js with
+// transferControlToOffscreen(), and every frame a copy of what the
+// renderers read from the scene is posted there: player, map, door state,
+// heights, billboards and the lighting system's light levels. Wall textures and
+// sprite sheets go over as pixels, once each. The main thread is left with
+// input, game logic and React.
+//
+// Particles and the scene's HUD are still drawn on the main thread, on a
+// transparent canvas laid over the game canvas (`ctx`). While the worker
+// is busy, frames are dropped rather than queued.
+//
+// A canvas can only be transferred once, so its worker and overlay outlive
+// the renderer and are picked up by the next engine on the same canvas
+// (e.g. when React mounts the component again).
+//
+// Select it with the `renderWorker` engine option. The Engine falls back to
+// the in-thread renderers where OffscreenCanvas isn't available. If the
+// worker fails later on, the in-thread renderer takes over on the overlay,
+// as the game canvas can't be drawn on from this side any more.
+
+const sessions = new WeakMap(); // canvas -> { worker, overlay, sheetIds, sheetCount, failed }
+
+export class WorkerRenderer {
+  /**
+   * Check whether a canvas can be rendered from a worker
+   */
+  static isSupported(canvas) {
+    return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+      (sessions.has(canvas) || typeof canvas.transferControlToOffscreen === 'function');
+  }
+
+  constructor(canvas, engine) {
+    this.canvas = canvas;
+    this.engine = engine;
+    this.wallTextures = new Map();
+    this.muzzleFlash = false;
+    this.pending = false; // a frame is with the worker
+    this.frameTime = 0; // ms the worker took for the last frame
+    this.fallback = null; // in-thread renderer once the worker has failed
+
+    const transfer = !sessions.has(canvas);
+    this.session = sessions.get(canvas) || createSession(canvas);
+    this.overlay = this.session.overlay;
+    this.ctx = this.overlay.getContext('2d');
+    this.width = this.overlay.width;
+    this.height = this.overlay.height;
+
+    if (this.session.failed) {
+      this.fallBack();
+      return;
+    }
+
+    const { worker } = this.session;
+    worker.onmessage = (event) => {
+      this.pending = false;
+      this.frameTime = event.data.time;
+    };
+    worker.onerror = (event) => {
+      console.error('WorkerRenderer: Render worker failed, rendering on the main thread', event.message);
+      this.fallBack();
+    };
+
+    // The canvas goes over with the first init only
+    const offscreen = transfer ? canvas.transferControlToOffscreen() : null;
+    worker.postMessage({
+      type: 'init',
+      canvas: offscreen,
+      renderer: engine.config.renderer,
+      floorQuality: engine.config.floorQuality
+    }, offscreen ? [offscreen] : []);
+
+    console.log('WorkerRenderer initialized', { width: this.width, height: this.height, renderer: engine.config.renderer });
+  }
+
+  render(scene) {
+    if (!scene) {
+      return;
+    }
+
+    this.updateSize(scene);
+    if (this.fallback) {
+      this.fallback.render(scene);
+      return;
+    }
+    this.ctx.clearRect(0, 0, this.width, this.height);
+
+    // Drop the frame while the worker is still drawing the last one
+    if (this.pending || !scene.player || !Array.isArray(scene.map)) {
+      return;
+    }
+
+    const sheets = [];
+    this.pending = true;
+    this.session.worker.postMessage({
+      type: 'frame',
+      scene: this.getSceneSnapshot(scene, sheets),
+      sheets,
+      lighting: this.engine.lighting.getSnapshot(),
+      resolutionScale: this.engine.resolution.scale,
+      muzzleFlash: this.muzzleFlash
+    });
+    this.muzzleFlash = false;
+  }
+
+  /**
+   * Stop using the worker and render on the main thread, onto the overlay
+   */
+  fallBack() {
+    if (this.fallback) return;
+
+    this.pending = false;
+    this.frameTime = 0;
+    this.session.failed = true;
+    this.session.worker.terminate();
+
+    this.fallback = this.engine.createMainThreadRenderer(this.overlay);
+    this.fallback.setWallTextures(this.wallTextures);
+  }
+
+  /**
+   * Size the overlay to the scene; the worker sizes the game canvas
+   */
+  updateSize(scene) {
+    if (scene.width && scene.height && (scene.width !== this.width || scene.height !== this.height)) {
+      this.width = scene.width;
+      this.height = scene.height;
+      this.overlay.width = scene.width;
+      this.overlay.height = scene.height;
+    }
+  }
+
+  /**
+   * Everything the renderers read from the scene, as plain data
+   *
+   * Sprite sheets the worker hasn't had yet are added to `sheets`.
+   */
+  getSceneSnapshot(scene, sheets) {
+    const { player } = scene;
+    const billboards = typeof scene.getBillboards === 'function'
+      ? scene.getBillboards()
+      : (Array.isArray(scene.enemies) ? scene.enemies.map(enemy => enemy.getBillboard()) : []);
+
+    return {
+      width: this.width,
+      height: this.height,
+      player: { x: player.x, y: player.y, angle: player.angle, pitch: player.pitch, viewHeight: player.viewHeight },
+      map: scene.map,
+      doors: scene.doors ? scene.doors.getSnapshot() : null,
+      heights: scene.heights ? scene.heights.getSnapshot() : null,
+      fov: scene.fov,
+      rayCount: scene.rayCount,
+      maxDepth: scene.maxDepth,
+      floorMap: scene.floorMap,
+      ceilingMap: scene.ceilingMap,
+      floorTexture: scene.floorTexture,
+      ceilingTexture: scene.ceilingTexture,
+      gameState: scene.gameState,
+      currentLevel: scene.currentLevel,
+      enemyCount: Array.isArray(scene.enemies) ? scene.enemies.length : 0,
+      billboards: billboards.map(billboard => ({
+        ...billboard,
+        texture: this.getRegionSnapshot(billboard.texture, sheets),
+        rotations: billboard.rotations && billboard.rotations.map(region => this.getRegionSnapshot(region, sheets))
+      }))
+    };
+  }
+
+  /**
+   * A texture or sheet region with its source swapped for a sheet id
+   */
+  getRegionSnapshot(texture, sheets) {
+    if (!texture) return texture;
+
+    let id = this.session.sheetIds.get(texture.source);
+    if (id === undefined) {
+      id = this.session.sheetCount++;
+      this.session.sheetIds.set(texture.source, id);
+      sheets.push({ id, ...getImage(new Texture(texture.source)) });
+    }
+
+    return { source: id, x: texture.x || 0, y: texture.y || 0, width: texture.width, height: texture.height };
+  }
+
+  /**
+   * Set the wall textures used for map values 1..N
+   */
+  setWallTextures(textures) {
+    this.wallTextures = textures;
+    if (this.fallback) {
+      this.fallback.setWallTextures(textures);
+      return;
+    }
+    this.session.worker.postMessage({
+      type: 'textures',
+      textures: Array.from(textures, ([id, texture]) => [id, getImage(texture)])
+    });
+  }
+
+  triggerMuzzleFlash() {
+    if (this.fallback) {
+      this.fallback.triggerMuzzleFlash();
+      return;
+    }
+    this.muzzleFlash = true;
+  }
+
+  /**
+   * Shut the worker down once the canvas has left the page
+   */
+  dispose() {
+    if (this.canvas.isConnected) return;
+
+    this.session.worker.terminate();
+    this.overlay.remove();
+    sessions.delete(this.canvas);
+  }
+}
+
+// Start the worker and lay a canvas for the HUD over the game canvas
+function createSession(canvas) {
+  const worker = new Worker(new URL('./RenderWorker.js', import.meta.url), { type: 'module' });
+
+  const overlay = document.createElement('canvas');
+  overlay.className = `${canvas.className} hud-canvas`;
+  overlay.width = canvas.width;
+  overlay.height = canvas.height;
+  canvas.after(overlay);
+
+  const session = { worker, overlay, sheetIds: new WeakMap(), sheetCount: 0 };
+  sessions.set(canvas, session);
+  return session;
+}
+
+// Pixels of a texture, in the form RenderWorker rebuilds images from
+function getImage(texture) {
+  return {
+    width: texture.width,
+    height: texture.height,
+    pixels: texture.getPixels(),
+    name: texture.name,
+    color: texture.color
+  };
+}
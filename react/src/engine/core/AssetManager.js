@@ -10,6 +10,8 @@
  * Provides async loading with progress tracking and caching.
  */
 
+import { Texture, generateTexture } from './Texture.js';
+
 export class AssetManager {
   constructor(engine) {
     this.engine = engine;
@@ -49,6 +51,9 @@ export class AssetManager {
         case 'image':
           asset = await this.loadImage(url);
           break;
+        case 'texture':
+          asset = await this.loadTexture(url);
+          break;
         case 'audio':
           asset = await this.loadAudio(url);
           break;
@@ -101,6 +106,48 @@ export class AssetManager {
     });
   }
 
+  /**
+   * Load texture asset (image wrapped for raycaster sampling)
+   */
+  async loadTexture(url) {
+    const image = await this.loadImage(url);
+    return new Texture(image, { name: url });
+  }
+
+  /**
+   * Load a set of wall textures keyed by map value
+   *
+   * Each definition may provide a `url`; definitions without one (or whose
+   * image fails to load) fall back to a procedural texture of `style`.
+   */
+  async loadWallTextures(definitions) {
+    const textures = new Map();
+
+    for (const [id, definition] of Object.entries(definitions)) {
+      const key = definition.key || definition.url ||
+        `texture_${definition.style || 'flat'}_${(definition.color || []).join('-')}`;
+      let texture = this.getAsset(key);
+
+      if (!texture && definition.url) {
+        try {
+          texture = await this.loadAsset(key, definition.url, 'texture');
+          texture.color = definition.color || texture.color;
+        } catch {
+          console.warn(`Falling back to procedural texture for ${key}`);
+        }
+      }
+
+      if (!texture) {
+        texture = generateTexture(definition.style, definition.color);
+        this.registerAsset(key, texture);
+      }
+
+      textures.set(Number(id), texture);
+    }
+
+    return textures;
+  }
+
   /**
    * Load audio asset
    */
@@ -170,6 +217,14 @@ export class AssetManager {
     return this.assets.get(key);
   }
 
+  /**
+   * Register an asset created at runtime
+   */
+  registerAsset(key, asset) {
+    this.assets.set(key, asset);
+    return asset;
+  }
+
   /**
    * Check if asset is loaded
    */
@@ -259,6 +314,7 @@ export class AssetManager {
    * Get asset type for statistics
    */
   getAssetType(asset) {
+    if (asset instanceof Texture) return 'texture';
     if (asset instanceof Image) return 'image';
     if (asset instanceof Audio) return 'audio';
     if (typeof asset === 'object') return 'json';
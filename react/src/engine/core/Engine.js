@@ -4,6 +4,9 @@
  * This is the main engine class that manages all core systems:
  * - Rendering System
  * - Physics System
+ * - Pathfinding System
+ * - Lighting System
+ * - Resolution Scaler
  * - Input System
  * - Scene Management
  * - Asset Management
@@ -14,7 +17,12 @@
 
 import { GAME_CONSTANTS } from '../Constants.js';
 import { Renderer } from '../Renderer.js';
+import { FramebufferRenderer } from '../FramebufferRenderer.js';
+import { WorkerRenderer } from '../WorkerRenderer.js';
 import { PhysicsSystem } from './PhysicsSystem.js';
+import { PathfindingSystem } from './PathfindingSystem.js';
+import { LightingSystem } from './LightingSystem.js';
+import { ResolutionScaler } from './ResolutionScaler.js';
 import { InputSystem } from './InputSystem.js';
 import { SceneManager } from './SceneManager.js';
 import { AssetManager } from './AssetManager.js';
@@ -28,13 +36,20 @@ export class Engine {
       targetFPS: GAME_CONSTANTS.TARGET_FPS,
       enablePhysics: true,
       enableAudio: false,
+      floorQuality: 'fast', // 'fast' casts floors at wall column resolution, 'full' per pixel
+      renderer: 'canvas', // 'canvas' draws with canvas calls, 'framebuffer' writes a pixel buffer
+      renderWorker: false, // raycast in a Web Worker through OffscreenCanvas, where supported
+      dynamicResolution: true, // lower the internal render resolution when frames run over budget
       debug: false,
       ...config
     };
 
     // Core systems
-    this.renderer = new Renderer(canvas, this);
+    this.renderer = this.createRenderer(canvas);
     this.physics = new PhysicsSystem(this);
+    this.pathfinding = new PathfindingSystem(this);
+    this.lighting = new LightingSystem(this);
+    this.resolution = new ResolutionScaler(this);
     this.input = new InputSystem(this);
     this.sceneManager = new SceneManager(this);
     this.assetManager = new AssetManager(this);
@@ -55,6 +70,28 @@ export class Engine {
     console.log('🚀 Advanced 3D Game Engine initialized');
   }
 
+  /**
+   * Create the renderer for the configured back end, rendering on the main
+   * thread when the canvas can't be handed to a worker
+   */
+  createRenderer(canvas) {
+    if (this.config.renderWorker) {
+      if (WorkerRenderer.isSupported(canvas)) {
+        return new WorkerRenderer(canvas, this);
+      }
+      console.warn('Engine: OffscreenCanvas not available, rendering on the main thread');
+    }
+    return this.createMainThreadRenderer(canvas);
+  }
+
+  /**
+   * Create the configured in-thread renderer (also what WorkerRenderer
+   * falls back to when its worker fails)
+   */
+  createMainThreadRenderer(canvas) {
+    return this.config.renderer === 'framebuffer' ? new FramebufferRenderer(canvas, this) : new Renderer(canvas, this);
+  }
+
   /**
    * Start the engine
    */
@@ -80,6 +117,7 @@ export class Engine {
     this.isRunning = false;
     this.input.cleanup();
     this.audio.cleanup();
+    this.renderer.dispose?.();
     console.log('⏹️ Engine stopped');
   }
 
@@ -97,10 +135,14 @@ export class Engine {
       const cappedDeltaTime = Math.min(deltaTime, 100); // Max 100ms per frame
 
       this.deltaTime = cappedDeltaTime;
+      const frameStart = performance.now();
       this.update(cappedDeltaTime);
       this.render();
       this.lastTime = currentTime;
 
+      // A render worker draws alongside, so its time counts when it is longer
+      this.resolution.record(Math.max(performance.now() - frameStart, this.renderer.frameTime || 0));
+
       // Update FPS counter
       this.frameCount++;
       if (currentTime - this.lastFPSUpdate >= 1000) {
@@ -125,9 +167,15 @@ export class Engine {
       this.physics.update(deltaTime);
     }
 
+    // Solve queued path requests within the frame budget
+    this.pathfinding.update(deltaTime);
+
     // Update particle system
     this.particles.update(deltaTime);
 
+    // Run light effects and fade dynamic lights
+    this.lighting.update(deltaTime);
+
     // Update current scene
     if (this.sceneManager.currentScene) {
       this.sceneManager.currentScene.update(deltaTime);
@@ -166,7 +214,8 @@ export class Engine {
   renderDebugInfo() {
     if (!this.config.debug) return; // Skip if debug is disabled
 
-    const ctx = this.canvas.getContext('2d');
+    // The renderer's context: the game canvas may belong to a render worker
+    const ctx = this.renderer.ctx;
     ctx.save();
 
     ctx.fillStyle = '#fff';
@@ -215,7 +264,8 @@ export class Engine {
       physicsEnabled: this.config.enablePhysics,
       debugEnabled: this.config.debug,
       audioEnabled: this.audio.enabled,
-      particleCount: this.particles.getParticleCount()
+      particleCount: this.particles.getParticleCount(),
+      resolution: this.resolution.getStats()
     };
   }
 
@@ -228,5 +278,9 @@ export class Engine {
     if (newConfig.targetFPS) {
       this.frameInterval = 1000 / this.config.targetFPS;
     }
+
+    if (newConfig.dynamicResolution === false) {
+      this.resolution.reset();
+    }
   }
 }
@@ -16,7 +16,9 @@ export class InputSystem {
       x: 0,
       y: 0,
       buttons: new Map(),
-      previousButtons: new Map()
+      previousButtons: new Map(),
+      movement: { x: 0, y: 0 }, // gathered since the last update
+      frameMovement: { x: 0, y: 0 } // over the last frame, for getAxis()
     };
     this.touch = {
       touches: new Map(),
@@ -82,6 +84,10 @@ export class InputSystem {
     window.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
     window.addEventListener('touchend', this.handleTouchEnd.bind(this), { passive: false });
 
+    // R1 scroll wheel (the device sends custom events instead of wheel events)
+    window.addEventListener('scrollUp', () => this.emit('scroll', { direction: -1 }));
+    window.addEventListener('scrollDown', () => this.emit('scroll', { direction: 1 }));
+
     // Context menu
     window.addEventListener('contextmenu', (e) => e.preventDefault());
 
@@ -112,6 +118,8 @@ export class InputSystem {
   handleMouseMove(event) {
     this.mouse.x = event.clientX;
     this.mouse.y = event.clientY;
+    this.mouse.movement.x += event.movementX || 0;
+    this.mouse.movement.y += event.movementY || 0;
     this.emit('mousemove', { x: this.mouse.x, y: this.mouse.y, event });
   }
 
@@ -204,6 +212,11 @@ export class InputSystem {
     this.previousKeys = new Map(this.keys);
     this.previousButtons = new Map(this.mouse.buttons);
     this.previousTouches = new Map(this.touch.touches);
+
+    this.mouse.frameMovement.x = this.mouse.movement.x;
+    this.mouse.frameMovement.y = this.mouse.movement.y;
+    this.mouse.movement.x = 0;
+    this.mouse.movement.y = 0;
   }
 
   /**
@@ -282,6 +295,17 @@ export class InputSystem {
     return false;
   }
 
+  /**
+   * Get mouse movement over the last frame along an action's axis
+   * (mouse mappings 0 = x, 1 = y), in pixels
+   */
+  getAxis(action) {
+    const axis = this.mouseMappings.get(action);
+    if (axis === 0) return this.mouse.frameMovement.x;
+    if (axis === 1) return this.mouse.frameMovement.y;
+    return 0;
+  }
+
   /**
    * Get mouse position relative to canvas
    */
@@ -359,6 +383,7 @@ export class InputSystem {
       'turn_right': 'KeyD',
       'shoot': 'Space',
       'use': 'KeyE',
+      'automap': 'KeyM',
       'strafe': 'ShiftLeft'
     };
 
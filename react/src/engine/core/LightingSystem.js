@@ -0,0 +1,237 @@
+/**
+ * Lighting System
+ *
+ * Sector-style lighting for the raycaster. Every map cell has a light level
+ * (0-255, as in Doom sectors) from the level's `light` grid or its default
+ * `lightLevel`, and groups of cells can flicker or pulse. Short-lived
+ * dynamic lights (muzzle flashes, explosions) brighten whatever is around
+ * them, and distance fog fades far surfaces into the fog colour.
+ */
+
+import { GAME_CONSTANTS } from '../Constants.js';
+
+// Light effects levels can put on cells (`lightEffects` in level data).
+// `min` is the darkest light level reached, `period` the ms per cycle
+// (for flicker, the average ms between changes).
+export const LIGHT_EFFECTS = {
+  flicker: { min: 40, period: 250 },
+  pulse: { min: 64, period: 2000 }
+};
+
+// Dynamic light presets: radius in cells, intensity added at the centre
+// (1 = full light level) and duration in ms
+export const DYNAMIC_LIGHTS = {
+  muzzleFlash: { radius: 4, intensity: 0.6, duration: 120 },
+  explosion: { radius: 6, intensity: 1, duration: 450 }
+};
+
+export class LightingSystem {
+  constructor(engine) {
+    this.engine = engine;
+    this.width = 0;
+    this.height = 0;
+    this.ambient = GAME_CONSTANTS.LIGHT_LEVEL / 255;
+    this.baseLight = new Float32Array(0); // 0-1 per cell, from level data
+    this.cellLight = new Float32Array(0); // with effects applied
+    this.effects = [];
+    this.lights = []; // dynamic lights
+    this.fog = { color: GAME_CONSTANTS.FOG_COLOR, density: GAME_CONSTANTS.FOG_DENSITY };
+    this.time = 0;
+  }
+
+  init(engine) {
+    this.engine = engine;
+    console.log('💡 Lighting System initialized');
+  }
+
+  /**
+   * Set up light levels, effects and fog for a level (LevelManager format)
+   */
+  setLevel(level) {
+    const map = level.map;
+    this.height = map.length;
+    this.width = map[0].length;
+    this.ambient = (level.lightLevel ?? GAME_CONSTANTS.LIGHT_LEVEL) / 255;
+    this.baseLight = new Float32Array(this.width * this.height);
+
+    // 0 in the light grid means the level default
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        const value = level.light && level.light[y] ? level.light[y][x] : 0;
+        this.baseLight[y * this.width + x] = value ? value / 255 : this.ambient;
+      }
+    }
+    this.cellLight = this.baseLight.slice();
+
+    this.effects = (level.lightEffects || []).map(effect => {
+      const definition = LIGHT_EFFECTS[effect.effect];
+      if (!definition) {
+        throw new Error(`Unknown light effect: ${effect.effect}`);
+      }
+      return {
+        type: effect.effect,
+        cells: this.getCells(effect.x, effect.y, effect.width || 1, effect.height || 1),
+        min: (effect.min ?? definition.min) / 255,
+        period: effect.period || definition.period,
+        bright: true,
+        timer: 0
+      };
+    });
+
+    this.fog = {
+      color: (level.fog && level.fog.color) || GAME_CONSTANTS.FOG_COLOR,
+      density: level.fog && level.fog.density !== undefined ? level.fog.density : GAME_CONSTANTS.FOG_DENSITY
+    };
+    this.lights = [];
+    this.time = 0;
+  }
+
+  /**
+   * Run light effects and fade out dynamic lights
+   */
+  update(deltaTime) {
+    this.time += deltaTime;
+
+    for (const effect of this.effects) {
+      let level = 1;
+      if (effect.type === 'pulse') {
+        level = 0.5 + 0.5 * Math.cos((this.time / effect.period) * Math.PI * 2);
+      } else {
+        // Flicker: stay bright or dark for a random while
+        effect.timer -= deltaTime;
+        if (effect.timer <= 0) {
+          effect.bright = !effect.bright;
+          effect.timer = Math.random() * effect.period * 2;
+        }
+        level = effect.bright ? 1 : 0;
+      }
+
+      for (const cell of effect.cells) {
+        const base = this.baseLight[cell];
+        const min = Math.min(effect.min, base);
+        this.cellLight[cell] = min + (base - min) * level;
+      }
+    }
+
+    for (let i = this.lights.length - 1; i >= 0; i--) {
+      const light = this.lights[i];
+      light.age += deltaTime;
+      if (light.age >= light.duration) {
+        this.lights.splice(i, 1);
+      }
+    }
+  }
+
+  /**
+   * Add a temporary light at a world position
+   *
+   * `options` is a DYNAMIC_LIGHTS preset name or { radius, intensity,
+   * duration }. The light fades out linearly over its duration.
+   */
+  addLight(x, y, options = 'muzzleFlash') {
+    const preset = typeof options === 'string' ? DYNAMIC_LIGHTS[options] : { ...DYNAMIC_LIGHTS.muzzleFlash, ...options };
+    if (!preset) {
+      throw new Error(`Unknown dynamic light: ${options}`);
+    }
+
+    // Drop the oldest light when there are too many
+    if (this.lights.length >= GAME_CONSTANTS.MAX_DYNAMIC_LIGHTS) {
+      this.lights.shift();
+    }
+
+    const light = { x, y, radius: preset.radius, intensity: preset.intensity, duration: preset.duration, age: 0 };
+    this.lights.push(light);
+    return light;
+  }
+
+  /**
+   * Light level of a cell (0-1), the level default outside the map
+   */
+  getCellLight(cellX, cellY) {
+    if (cellX < 0 || cellY < 0 || cellX >= this.width || cellY >= this.height) {
+      return this.ambient;
+    }
+    return this.cellLight[cellY * this.width + cellX];
+  }
+
+  /**
+   * Light at a world position (0-1): the cell's light level plus any
+   * dynamic lights in reach
+   */
+  getLight(x, y) {
+    let light = this.getCellLight(Math.floor(x), Math.floor(y));
+
+    for (const dynamic of this.lights) {
+      const dx = x - dynamic.x;
+      const dy = y - dynamic.y;
+      const distanceSquared = dx * dx + dy * dy;
+      if (distanceSquared >= dynamic.radius * dynamic.radius) continue;
+
+      const fade = 1 - dynamic.age / dynamic.duration;
+      light += dynamic.intensity * fade * (1 - Math.sqrt(distanceSquared) / dynamic.radius);
+    }
+
+    return Math.min(1, light);
+  }
+
+  /**
+   * Share of the fog colour mixed in at a distance (0-1, exponential fog)
+   */
+  getFog(distance) {
+    return this.fog.density > 0 ? 1 - Math.exp(-this.fog.density * distance) : 0;
+  }
+
+  /**
+   * Remove dynamic lights (e.g. on level change)
+   */
+  clear() {
+    this.lights = [];
+  }
+
+  /**
+   * Current light levels, dynamic lights and fog as plain data (for a
+   * renderer in a worker)
+   */
+  getSnapshot() {
+    return {
+      width: this.width,
+      height: this.height,
+      ambient: this.ambient,
+      cellLight: this.cellLight,
+      lights: this.lights,
+      fog: this.fog
+    };
+  }
+
+  /**
+   * Take over the state from getSnapshot(); effects are not run here
+   */
+  applySnapshot(snapshot) {
+    this.width = snapshot.width;
+    this.height = snapshot.height;
+    this.ambient = snapshot.ambient;
+    this.cellLight = snapshot.cellLight;
+    this.lights = snapshot.lights;
+    this.fog = snapshot.fog;
+  }
+
+  /**
+   * Cell indices covered by a rectangle, clipped to the map
+   */
+  getCells(x, y, width, height) {
+    const cells = [];
+    for (let cellY = Math.max(0, Math.floor(y)); cellY < Math.min(this.height, Math.floor(y) + height); cellY++) {
+      for (let cellX = Math.max(0, Math.floor(x)); cellX < Math.min(this.width, Math.floor(x) + width); cellX++) {
+        cells.push(cellY * this.width + cellX);
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Get lighting statistics
+   */
+  getStats() {
+    return { effects: this.effects.length, dynamicLights: this.lights.length, fogDensity: this.fog.density };
+  }
+}
@@ -104,10 +104,11 @@ export class ParticleSystem {
   }
 
   /**
-   * Create muzzle flash effect
+   * Create muzzle flash effect, with a brief light on nearby walls and sprites
    */
   createMuzzleFlash(x, y, angle) {
     const numParticles = 8;
+    this.engine?.lighting?.addLight(x, y, 'muzzleFlash');
 
     for (let i = 0; i < numParticles; i++) {
       const spread = (Math.random() - 0.5) * Math.PI / 4;
@@ -149,6 +150,30 @@ export class ParticleSystem {
     }
   }
 
+  /**
+   * Create explosion effect (rockets), lighting up the area around it
+   */
+  createExplosion(x, y) {
+    const numParticles = 16;
+    this.engine?.lighting?.addLight(x, y, 'explosion');
+
+    for (let i = 0; i < numParticles; i++) {
+      const angle = Math.random() * Math.PI * 2;
+      const speed = Math.random() * 4 + 2;
+      const vx = Math.cos(angle) * speed;
+      const vy = Math.sin(angle) * speed;
+
+      this.createParticle(x, y, {
+        vx, vy,
+        life: 25 + Math.random() * 20,
+        size: 2 + Math.random() * 2,
+        color: i % 3 === 0 ? '#ffdd33' : '#ff6600',
+        gravity: 0.05,
+        fade: true
+      });
+    }
+  }
+
   /**
    * Clear all particles
    */
@@ -0,0 +1,318 @@
+/**
+ * Pathfinding System
+ *
+ * Grid A* over the PhysicsSystem world. Paths are smoothed by dropping
+ * waypoints the agent can walk past in a straight line, cached for a short
+ * time, and queued requests are solved a few per frame so a crowd of
+ * enemies asking at once doesn't stall the game.
+ */
+
+import { GAME_CONSTANTS } from '../Constants.js';
+
+// 8-way moves; diagonals may not cut past a blocked corner
+const NEIGHBOURS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+export class PathfindingSystem {
+  constructor(engine) {
+    this.engine = engine;
+    this.world = null;
+    this.cache = new Map(); // 'sx,sy:gx,gy' -> { path, time }
+    this.queue = new Map(); // requester -> pending request
+    this.time = 0;
+    this.stats = { searches: 0, cacheHits: 0, queued: 0 };
+  }
+
+  init(engine) {
+    this.engine = engine;
+    console.log('🧭 Pathfinding System initialized');
+  }
+
+  /**
+   * Solve queued requests within the per-frame budget
+   */
+  update(deltaTime) {
+    this.time += deltaTime;
+    this.checkWorld();
+
+    let budget = GAME_CONSTANTS.PATHFINDING_BUDGET;
+    for (const [requester, request] of this.queue) {
+      if (budget <= 0) break;
+      this.queue.delete(requester);
+
+      let path = this.getCachedPath(request.key);
+      if (path === undefined) {
+        budget--;
+        path = this.findPath(request.startX, request.startY, request.goalX, request.goalY, request.options);
+        this.cache.set(request.key, { path, time: this.time });
+        path = copyPath(path);
+      }
+      request.callback(path);
+    }
+    this.stats.queued = this.queue.size;
+
+    // Drop expired paths now and then so the cache doesn't grow all level
+    if (this.cache.size > GAME_CONSTANTS.PATH_CACHE_SIZE) {
+      for (const [key, entry] of this.cache) {
+        if (this.time - entry.time >= GAME_CONSTANTS.PATH_CACHE_TIME) {
+          this.cache.delete(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Queue a path search; `callback(path)` runs during a later update
+   *
+   * A requester has at most one pending request, so asking again replaces
+   * the old one. Cached paths are handed back straight away.
+   */
+  requestPath(requester, startX, startY, goalX, goalY, callback, options = {}) {
+    this.checkWorld();
+    const key = `${Math.floor(startX)},${Math.floor(startY)}:${Math.floor(goalX)},${Math.floor(goalY)}`;
+
+    const cached = this.getCachedPath(key);
+    if (cached !== undefined) {
+      this.queue.delete(requester);
+      callback(cached);
+      return;
+    }
+
+    this.queue.set(requester, { key, startX, startY, goalX, goalY, callback, options });
+  }
+
+  /**
+   * Drop a requester's pending request (e.g. when an enemy dies)
+   */
+  cancelRequest(requester) {
+    this.queue.delete(requester);
+  }
+
+  /**
+   * Find a path between two world positions
+   *
+   * Returns a list of { x, y } waypoints ending at the goal (the start is
+   * not included), or null when the goal can't be reached. Options: radius
+   * (agent radius for smoothing, default 0.3) and maxNodes (search limit).
+   */
+  findPath(startX, startY, goalX, goalY, options = {}) {
+    const physics = this.engine.physics;
+    if (!physics.world) return null;
+
+    const { width, height } = physics.world;
+    const radius = options.radius ?? 0.3;
+    const maxNodes = options.maxNodes ?? GAME_CONSTANTS.PATHFINDING_MAX_NODES;
+    const sx = Math.floor(startX);
+    const sy = Math.floor(startY);
+    const gx = Math.floor(goalX);
+    const gy = Math.floor(goalY);
+
+    if (physics.isSolidCell(gx, gy)) return null;
+    this.stats.searches++;
+
+    const start = sy * width + sx;
+    const goal = gy * width + gx;
+    const cost = new Float32Array(width * height).fill(Infinity);
+    const cameFrom = new Int32Array(width * height).fill(-1);
+    const closed = new Uint8Array(width * height);
+    const open = new MinHeap();
+
+    cost[start] = 0;
+    open.push(start, heuristic(sx, sy, gx, gy));
+    let expanded = 0;
+    let found = start === goal;
+
+    while (!found && open.size > 0 && expanded < maxNodes) {
+      const current = open.pop();
+      if (closed[current]) continue;
+      if (current === goal) {
+        found = true;
+        break;
+      }
+      closed[current] = 1;
+      expanded++;
+
+      const cx = current % width;
+      const cy = (current - cx) / width;
+
+      for (const [dx, dy, stepCost] of NEIGHBOURS) {
+        const nx = cx + dx;
+        const ny = cy + dy;
+        if (physics.isSolidCell(nx, ny) || !physics.canStep(cx, cy, nx, ny)) continue;
+        if (dx !== 0 && dy !== 0 && (physics.isSolidCell(cx + dx, cy) || physics.isSolidCell(cx, cy + dy))) continue;
+
+        const next = ny * width + nx;
+        const nextCost = cost[current] + stepCost;
+        if (closed[next] || nextCost >= cost[next]) continue;
+
+        cost[next] = nextCost;
+        cameFrom[next] = current;
+        open.push(next, nextCost + heuristic(nx, ny, gx, gy));
+      }
+    }
+
+    if (!found) return null;
+
+    // Walk back from the goal to get cell centres
+    const cells = [];
+    for (let node = goal; node !== start && node !== -1; node = cameFrom[node]) {
+      const x = node % width;
+      cells.push({ x: x + 0.5, y: (node - x) / width + 0.5 });
+    }
+    cells.reverse();
+
+    // End exactly on the goal rather than its cell centre
+    if (cells.length > 0) {
+      cells[cells.length - 1] = { x: goalX, y: goalY };
+    } else {
+      cells.push({ x: goalX, y: goalY });
+    }
+
+    return this.smoothPath(startX, startY, cells, radius);
+  }
+
+  /**
+   * Drop waypoints that can be skipped by walking straight to a later one
+   */
+  smoothPath(startX, startY, path, radius = 0.3) {
+    const smoothed = [];
+    let from = { x: startX, y: startY };
+    let index = 0;
+
+    while (index < path.length) {
+      // Furthest waypoint reachable in a straight line
+      let furthest = index;
+      for (let i = path.length - 1; i > index; i--) {
+        if (this.isWalkableLine(from.x, from.y, path[i].x, path[i].y, radius)) {
+          furthest = i;
+          break;
+        }
+      }
+      smoothed.push(path[furthest]);
+      from = path[furthest];
+      index = furthest + 1;
+    }
+
+    return smoothed;
+  }
+
+  /**
+   * Check that an agent of the given radius can walk a straight line
+   */
+  isWalkableLine(fromX, fromY, toX, toY, radius = 0.3) {
+    const physics = this.engine.physics;
+    const distance = Math.hypot(toX - fromX, toY - fromY);
+    const steps = Math.max(1, Math.ceil(distance / 0.1));
+    let reach = physics.getFloorHeight(fromX, fromY) + GAME_CONSTANTS.STEP_HEIGHT;
+
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      const x = fromX + (toX - fromX) * t;
+      const y = fromY + (toY - fromY) * t;
+      if (!physics.isValidPosition(x, y, radius, reach)) {
+        return false;
+      }
+      reach = physics.getFloorHeight(x, y) + GAME_CONSTANTS.STEP_HEIGHT;
+    }
+    return true;
+  }
+
+  /**
+   * Copy of a recent path between the same cells (undefined when not cached;
+   * null is a cached "unreachable")
+   */
+  getCachedPath(key) {
+    const entry = this.cache.get(key);
+    if (!entry || this.time - entry.time >= GAME_CONSTANTS.PATH_CACHE_TIME) {
+      return undefined;
+    }
+    this.stats.cacheHits++;
+    return copyPath(entry.path);
+  }
+
+  /**
+   * Forget cached paths when a new level is loaded
+   */
+  checkWorld() {
+    const world = this.engine.physics.world;
+    if (world !== this.world) {
+      this.world = world;
+      this.cache.clear();
+      this.queue.clear();
+    }
+  }
+
+  /**
+   * Get pathfinding statistics
+   */
+  getStats() {
+    return { ...this.stats, cachedPaths: this.cache.size };
+  }
+}
+
+// Callers advance through their waypoints, so each gets its own copy
+function copyPath(path) {
+  return path ? path.map(point => ({ ...point })) : null;
+}
+
+// Octile distance, admissible for 8-way moves
+function heuristic(x1, y1, x2, y2) {
+  const dx = Math.abs(x1 - x2);
+  const dy = Math.abs(y1 - y2);
+  return dx + dy + (Math.SQRT2 - 2) * Math.min(dx, dy);
+}
+
+// Binary min-heap of node indices keyed by priority
+class MinHeap {
+  constructor() {
+    this.nodes = [];
+    this.priorities = [];
+  }
+
+  get size() {
+    return this.nodes.length;
+  }
+
+  push(node, priority) {
+    this.nodes.push(node);
+    this.priorities.push(priority);
+    let i = this.nodes.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.priorities[parent] <= this.priorities[i]) break;
+      this.swap(i, parent);
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = this.nodes[0];
+    const lastNode = this.nodes.pop();
+    const lastPriority = this.priorities.pop();
+
+    if (this.nodes.length > 0) {
+      this.nodes[0] = lastNode;
+      this.priorities[0] = lastPriority;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < this.nodes.length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+        if (right < this.nodes.length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+        if (smallest === i) break;
+        this.swap(i, smallest);
+        i = smallest;
+      }
+    }
+
+    return top;
+  }
+
+  swap(a, b) {
+    [this.nodes[a], this.nodes[b]] = [this.nodes[b], this.nodes[a]];
+    [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+  }
+}
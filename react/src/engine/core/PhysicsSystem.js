@@ -5,12 +5,16 @@
  * Supports raycasting, bounding box collision, and basic physics integration.
  */
 
+import { castRay } from './Raycaster.js';
+import { GAME_CONSTANTS } from '../Constants.js';
+import { BLOCKS, isSeeThroughTile, tileBlocks } from '../Tiles.js';
+
 export class PhysicsSystem {
   constructor(engine) {
     this.engine = engine;
     this.world = null;
     this.collisionLayers = new Map();
-    this.raycastCache = new Map();
+    this.rayResolvers = new Map(); // BLOCKS value -> raycaster hook
   }
 
   init(engine) {
@@ -21,7 +25,6 @@ export class PhysicsSystem {
   update(deltaTime) {
     // Update physics simulation
     this.updateCollisions();
-    this.updateRaycastCache();
   }
 
   /**
@@ -30,13 +33,21 @@ export class PhysicsSystem {
   setWorld(worldData) {
     this.world = worldData;
     this.collisionLayers.clear();
-    this.raycastCache.clear();
+    this.rayResolvers.clear();
   }
 
   /**
    * Check if a position is valid (not colliding with walls)
+   *
+   * On levels with heights (`world.heights`, see Heights.js), floors higher
+   * than `maxHeight` block too. Movers pass the highest floor they can get
+   * onto: their own floor plus STEP_HEIGHT, or their flight height.
+   *
+   * `blocking` is what is moving (a BLOCKS value from Tiles.js), for
+   * see-through walls that stop some things and not others: projectiles
+   * pass BLOCKS.BULLETS.
    */
-  isValidPosition(x, y, radius = 0.3) {
+  isValidPosition(x, y, radius = 0.3, maxHeight = Infinity, blocking = BLOCKS.MOVEMENT) {
     if (!this.world) return true;
 
     const mapX = Math.floor(x);
@@ -48,7 +59,7 @@ export class PhysicsSystem {
     }
 
     // Check wall collision at center
-    if (this.world.map[mapY][mapX] === 1) {
+    if (this.isBlockedCell(mapX, mapY, maxHeight, blocking)) {
       return false;
     }
 
@@ -71,9 +82,7 @@ export class PhysicsSystem {
         const cMapX = Math.floor(cx);
         const cMapY = Math.floor(cy);
 
-        if (cMapX < 0 || cMapX >= this.world.width ||
-            cMapY < 0 || cMapY >= this.world.height ||
-            this.world.map[cMapY][cMapX] === 1) {
+        if (this.isBlockedCell(cMapX, cMapY, maxHeight, blocking)) {
           return false;
         }
       }
@@ -83,56 +92,104 @@ export class PhysicsSystem {
   }
 
   /**
-   * Cast a ray and return the distance to the nearest wall
+   * Check whether a map cell blocks movement (walls, closed doors, out of
+   * bounds), or bullets or sight with another BLOCKS value
    */
-  castRay(originX, originY, angle, maxDistance = 20) {
-    // Round coordinates and angle for better caching
-    const cacheKey = `${originX.toFixed(1)},${originY.toFixed(1)},${angle.toFixed(2)}`;
+  isSolidCell(cellX, cellY, blocking = BLOCKS.MOVEMENT) {
+    if (cellX < 0 || cellX >= this.world.width || cellY < 0 || cellY >= this.world.height) {
+      return true;
+    }
 
-    // Check cache first
-    if (this.raycastCache.has(cacheKey)) {
-      return this.raycastCache.get(cacheKey);
+    const tile = this.world.map[cellY][cellX];
+    if (tile === 0) {
+      return false;
+    }
+    if (isSeeThroughTile(tile)) {
+      return tileBlocks(tile, blocking);
     }
 
-    if (!this.world) return maxDistance;
+    return !(this.world.doors && this.world.doors.isCellPassable(cellX, cellY));
+  }
 
-    const sin = Math.sin(angle);
-    const cos = Math.cos(angle);
-    let x = originX;
-    let y = originY;
+  /**
+   * Check whether a cell blocks something that can get onto floors up to
+   * `maxHeight`
+   */
+  isBlockedCell(cellX, cellY, maxHeight = Infinity, blocking = BLOCKS.MOVEMENT) {
+    if (this.isSolidCell(cellX, cellY, blocking)) return true;
+    return !!this.world.heights && this.world.heights.getFloor(cellX, cellY) > maxHeight;
+  }
 
-    for (let depth = 0; depth < maxDistance; depth += 0.05) {
-      const testX = Math.floor(x);
-      const testY = Math.floor(y);
+  /**
+   * Floor height under a world position (0 on flat levels)
+   */
+  getFloorHeight(x, y) {
+    return this.world && this.world.heights ? this.world.heights.getFloorHeight(x, y) : 0;
+  }
 
-      if (testX < 0 || testX >= this.world.width ||
-          testY < 0 || testY >= this.world.height ||
-          this.world.map[testY][testX] === 1) {
-        const result = depth;
-        this.raycastCache.set(cacheKey, result);
-        return result;
-      }
+  /**
+   * Check whether a walker can step from one cell's floor up to a neighbour's
+   */
+  canStep(fromX, fromY, toX, toY) {
+    return !this.world || !this.world.heights || this.world.heights.canStep(fromX, fromY, toX, toY);
+  }
 
-      x += cos * 0.05;
-      y += sin * 0.05;
+  /**
+   * Cast a ray and return the full wall hit (distance, cell, side, texture offset)
+   *
+   * With a BLOCKS value the ray passes see-through walls that don't stop
+   * it; without one they count as walls.
+   */
+  raycast(originX, originY, angle, maxDistance = 20, blocking = null) {
+    if (!this.world) {
+      return castRay(null, originX, originY, angle, maxDistance);
+    }
+    return castRay(this.world.map, originX, originY, angle, maxDistance, this.getRayResolver(blocking));
+  }
+
+  /**
+   * Raycaster hook for the world's doors and pushwalls, letting the ray
+   * through see-through walls that don't stop `blocking` (a BLOCKS value)
+   */
+  getRayResolver(blocking = null) {
+    const doors = this.world && this.world.doors;
+    if (!blocking) {
+      return doors ? doors.resolveRayCell : null;
+    }
+
+    let resolver = this.rayResolvers.get(blocking);
+    if (!resolver) {
+      resolver = (cell, originX, originY, dirX, dirY) => {
+        if (isSeeThroughTile(cell.tile)) {
+          return tileBlocks(cell.tile, blocking) ? undefined : null;
+        }
+        return doors ? doors.resolveRayCell(cell, originX, originY, dirX, dirY) : undefined;
+      };
+      this.rayResolvers.set(blocking, resolver);
     }
+    return resolver;
+  }
 
-    const result = maxDistance;
-    this.raycastCache.set(cacheKey, result);
-    return result;
+  /**
+   * Cast a ray and return the distance to the nearest wall
+   */
+  castRay(originX, originY, angle, maxDistance = 20) {
+    return this.raycast(originX, originY, angle, maxDistance).distance;
   }
 
   /**
    * Check line of sight between two points
+   *
+   * Sees through grates, fences and glass. Pass BLOCKS.BULLETS to check
+   * whether a shot gets through instead.
    */
-  hasLineOfSight(fromX, fromY, toX, toY) {
+  hasLineOfSight(fromX, fromY, toX, toY, blocking = BLOCKS.SIGHT) {
     const dx = toX - fromX;
     const dy = toY - fromY;
     const distance = Math.sqrt(dx * dx + dy * dy);
     const angle = Math.atan2(dy, dx);
 
-    const rayDistance = this.castRay(fromX, fromY, angle, distance + 1);
-    return rayDistance >= distance;
+    return !this.raycast(fromX, fromY, angle, distance, blocking).hit;
   }
 
   /**
@@ -164,11 +221,45 @@ export class PhysicsSystem {
              box2.y + box2.height < box1.y);
   }
 
+  /**
+   * Register an entity with x, y and radius on a named collision layer
+   */
+  addToLayer(layer, entity) {
+    if (!this.collisionLayers.has(layer)) {
+      this.collisionLayers.set(layer, new Set());
+    }
+    this.collisionLayers.get(layer).add(entity);
+  }
+
+  removeFromLayer(layer, entity) {
+    this.collisionLayers.get(layer)?.delete(entity);
+  }
+
+  /**
+   * Find the entities on a layer that overlap a circle (inactive ones are skipped)
+   */
+  queryRadius(layer, x, y, radius) {
+    const entities = this.collisionLayers.get(layer);
+    if (!entities) return [];
+
+    const results = [];
+    for (const entity of entities) {
+      if (entity.active === false) continue;
+      const reach = radius + (entity.radius || 0);
+      const dx = entity.x - x;
+      const dy = entity.y - y;
+      if (dx * dx + dy * dy <= reach * reach) {
+        results.push(entity);
+      }
+    }
+    return results;
+  }
+
   /**
    * Find nearest valid position to help player get unstuck
    */
-  findNearestValidPosition(x, y, maxSearchDistance = 1.0, stepSize = 0.1) {
-    if (this.isValidPosition(x, y)) {
+  findNearestValidPosition(x, y, maxSearchDistance = 1.0, stepSize = 0.1, maxHeight = Infinity) {
+    if (this.isValidPosition(x, y, 0.3, maxHeight)) {
       return { x, y };
     }
 
@@ -180,7 +271,7 @@ export class PhysicsSystem {
         const testX = x + Math.cos(angle) * distance;
         const testY = y + Math.sin(angle) * distance;
 
-        if (this.isValidPosition(testX, testY)) {
+        if (this.isValidPosition(testX, testY, 0.3, maxHeight)) {
           return { x: testX, y: testY };
         }
       }
@@ -198,33 +289,12 @@ export class PhysicsSystem {
     // For now, it's mainly wall collisions handled in isValidPosition
   }
 
-  /**
-   * Clear raycast cache (call when world changes)
-   */
-  clearRaycastCache() {
-    this.raycastCache.clear();
-  }
-
-  /**
-   * Update raycast cache (remove old entries)
-   */
-  updateRaycastCache() {
-    // More aggressive cache management for better performance
-    if (this.raycastCache.size > 500) {
-      // Clear 30% of the cache to maintain performance
-      const entries = Array.from(this.raycastCache.entries());
-      const toRemove = entries.slice(0, Math.floor(entries.length * 0.3));
-      toRemove.forEach(([key]) => this.raycastCache.delete(key));
-    }
-  }
-
   /**
    * Get physics statistics
    */
   getStats() {
     return {
       worldLoaded: !!this.world,
-      cacheSize: this.raycastCache.size,
       collisionLayers: this.collisionLayers.size
     };
   }
@@ -0,0 +1,143 @@
+/**
+ * Grid Raycaster
+ *
+ * Exact DDA (digital differential analyzer) traversal of the tile grid.
+ * Shared by the renderer, physics queries and gameplay hit tests so every
+ * system agrees on where a ray meets a wall.
+ */
+
+// Face of the wall cell that the ray hit (map rows grow towards the south)
+export const HIT_SIDE = {
+  NORTH: 'N',
+  SOUTH: 'S',
+  EAST: 'E',
+  WEST: 'W'
+};
+
+/**
+ * Walk the grid cells crossed by a ray in order
+ *
+ * `visit` is called with a reused cell record for every cell entered
+ * ({ x, y, tile, distance, exitDistance, side }). Cells outside the map have
+ * `tile` set to null and end the traversal. Return true from `visit` to stop.
+ */
+export function traverseGrid(map, originX, originY, dirX, dirY, maxDistance, visit) {
+  const height = map.length;
+  const width = height > 0 ? map[0].length : 0;
+
+  const deltaX = dirX === 0 ? Infinity : Math.abs(1 / dirX);
+  const deltaY = dirY === 0 ? Infinity : Math.abs(1 / dirY);
+  const stepX = dirX < 0 ? -1 : 1;
+  const stepY = dirY < 0 ? -1 : 1;
+
+  let cellX = Math.floor(originX);
+  let cellY = Math.floor(originY);
+  let sideDistX = dirX < 0 ? (originX - cellX) * deltaX : (cellX + 1 - originX) * deltaX;
+  let sideDistY = dirY < 0 ? (originY - cellY) * deltaY : (cellY + 1 - originY) * deltaY;
+
+  const cell = { x: cellX, y: cellY, tile: 0, distance: 0, exitDistance: 0, side: null };
+
+  for (;;) {
+    if (sideDistX < sideDistY) {
+      cell.distance = sideDistX;
+      sideDistX += deltaX;
+      cellX += stepX;
+      cell.side = stepX > 0 ? HIT_SIDE.WEST : HIT_SIDE.EAST;
+    } else {
+      cell.distance = sideDistY;
+      sideDistY += deltaY;
+      cellY += stepY;
+      cell.side = stepY > 0 ? HIT_SIDE.NORTH : HIT_SIDE.SOUTH;
+    }
+
+    if (cell.distance > maxDistance) {
+      return false;
+    }
+
+    const outside = cellX < 0 || cellX >= width || cellY < 0 || cellY >= height;
+    cell.x = cellX;
+    cell.y = cellY;
+    cell.tile = outside ? null : map[cellY][cellX];
+    cell.exitDistance = Math.min(sideDistX, sideDistY);
+
+    if (visit(cell) || outside) {
+      return true;
+    }
+  }
+}
+
+/**
+ * Build a hit record for a ray stopped at the entry face of a cell
+ */
+export function createHit(originX, originY, dirX, dirY, cell) {
+  const x = originX + dirX * cell.distance;
+  const y = originY + dirY * cell.distance;
+  let textureX;
+
+  if (cell.side === HIT_SIDE.EAST || cell.side === HIT_SIDE.WEST) {
+    textureX = y - Math.floor(y);
+    if (cell.side === HIT_SIDE.WEST) textureX = 1 - textureX;
+  } else {
+    textureX = x - Math.floor(x);
+    if (cell.side === HIT_SIDE.SOUTH) textureX = 1 - textureX;
+  }
+
+  return {
+    hit: true,
+    distance: cell.distance,
+    cellX: cell.x,
+    cellY: cell.y,
+    tile: cell.tile,
+    side: cell.side,
+    textureX,
+    x,
+    y
+  };
+}
+
+/**
+ * Cast a ray and return the first wall hit
+ *
+ * Returns { hit, distance, cellX, cellY, tile, side, textureX, x, y }.
+ * A ray that reaches `maxDistance` without hitting anything has `hit: false`.
+ *
+ * `resolveCell(cell, originX, originY, dirX, dirY)` is an optional hook for
+ * cells with geometry other than a full block (doors, moving walls). It
+ * returns a hit, null to let the ray pass through, or undefined to treat the
+ * cell as a solid wall.
+ */
+export function castRay(map, originX, originY, angle, maxDistance = 20, resolveCell = null) {
+  const dirX = Math.cos(angle);
+  const dirY = Math.sin(angle);
+  let result = null;
+
+  if (map && map.length > 0) {
+    traverseGrid(map, originX, originY, dirX, dirY, maxDistance, (cell) => {
+      if (cell.tile === 0) return false;
+
+      if (resolveCell && cell.tile !== null) {
+        const resolved = resolveCell(cell, originX, originY, dirX, dirY);
+        if (resolved === null) return false;
+        if (resolved) {
+          if (resolved.distance <= maxDistance) result = resolved;
+          return true;
+        }
+      }
+
+      result = createHit(originX, originY, dirX, dirY, cell);
+      return true;
+    });
+  }
+
+  return result || {
+    hit: false,
+    distance: maxDistance,
+    cellX: -1,
+    cellY: -1,
+    tile: 0,
+    side: null,
+    textureX: 0,
+    x: originX + dirX * maxDistance,
+    y: originY + dirY * maxDistance
+  };
+}
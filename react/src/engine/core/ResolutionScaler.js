@@ -0,0 +1,115 @@
+/**
+ * Resolution Scaler
+ *
+ * Dynamic resolution for the renderers. The engine reports what each frame
+ * cost, and once per window of frames the average is compared against the
+ * frame budget (1000 / targetFPS ms). Over budget drops the internal render
+ * resolution one step; comfortably under it for a few windows in a row
+ * raises it again. The gap between the two loads and the extra wait before
+ * raising keep the resolution from bouncing between steps. Renderers draw
+ * the 3D view at `scale` times the canvas size and upscale it to the canvas.
+ */
+
+import { GAME_CONSTANTS } from '../Constants.js';
+
+const MAX_DECISIONS = 10; // most recent changes kept for getStats()
+
+export class ResolutionScaler {
+  constructor(engine) {
+    this.engine = engine;
+    this.scale = 1;
+    this.samples = new Float32Array(GAME_CONSTANTS.RESOLUTION_WINDOW);
+    this.sampleCount = 0;
+    this.quietWindows = 0; // windows in a row under the upscale load
+    this.averageFrameTime = 0;
+    this.changes = 0;
+    this.decisions = []; // { time, from, to, frameTime, load }, oldest first
+  }
+
+  init(engine) {
+    this.engine = engine;
+    console.log('📐 Resolution Scaler initialized');
+  }
+
+  /**
+   * Add one frame's cost in ms, deciding on the scale once per window
+   */
+  record(frameTime) {
+    if (!this.engine.config.dynamicResolution) return;
+
+    this.samples[this.sampleCount++] = frameTime;
+    if (this.sampleCount < this.samples.length) return;
+
+    let total = 0;
+    for (const sample of this.samples) {
+      total += sample;
+    }
+    this.sampleCount = 0;
+    this.averageFrameTime = total / this.samples.length;
+    this.decide(this.averageFrameTime / this.engine.frameInterval);
+  }
+
+  /**
+   * Step the scale for a window's load (average frame time / budget)
+   */
+  decide(load) {
+    if (load > GAME_CONSTANTS.RESOLUTION_DOWNSCALE_LOAD) {
+      this.quietWindows = 0;
+      if (this.scale > GAME_CONSTANTS.RESOLUTION_MIN_SCALE) {
+        this.setScale(this.scale - GAME_CONSTANTS.RESOLUTION_STEP, load);
+      }
+      return;
+    }
+
+    if (load < GAME_CONSTANTS.RESOLUTION_UPSCALE_LOAD && this.scale < 1) {
+      this.quietWindows++;
+      if (this.quietWindows >= GAME_CONSTANTS.RESOLUTION_UPSCALE_DELAY) {
+        this.quietWindows = 0;
+        this.setScale(this.scale + GAME_CONSTANTS.RESOLUTION_STEP, load);
+      }
+      return;
+    }
+
+    this.quietWindows = 0;
+  }
+
+  setScale(scale, load) {
+    const from = this.scale;
+    this.scale = Math.min(1, Math.max(GAME_CONSTANTS.RESOLUTION_MIN_SCALE, scale));
+    this.changes++;
+
+    this.decisions.push({
+      time: Math.round(performance.now()),
+      from,
+      to: this.scale,
+      frameTime: Math.round(this.averageFrameTime * 100) / 100,
+      load: Math.round(load * 100) / 100
+    });
+    if (this.decisions.length > MAX_DECISIONS) {
+      this.decisions.shift();
+    }
+  }
+
+  /**
+   * Back to full resolution with no samples (e.g. when turned off)
+   */
+  reset() {
+    this.scale = 1;
+    this.sampleCount = 0;
+    this.quietWindows = 0;
+  }
+
+  /**
+   * Get resolution statistics
+   */
+  getStats() {
+    return {
+      enabled: !!this.engine.config.dynamicResolution,
+      scale: this.scale,
+      averageFrameTime: Math.round(this.averageFrameTime * 100) / 100,
+      budget: Math.round(this.engine.frameInterval * 100) / 100,
+      changes: this.changes,
+      decisions: this.decisions.slice()
+    };
+  }
+}
@@ -186,7 +186,9 @@ export class Scene {
 
     // Cleanup entities
     for (const entity of this.entities) {
-      await entity.destroy();
+      if (typeof entity.destroy === 'function') {
+        await entity.destroy();
+      }
     }
     this.entities.clear();
 
@@ -0,0 +1,237 @@
+/**
+ * Texture
+ *
+ * Wraps an image or canvas used by the raycaster for walls and other surfaces.
+ * Includes a small procedural generator so levels get distinct surfaces
+ * without shipping image files.
+ */
+
+export const TEXTURE_SIZE = 64;
+
+const SEE_THROUGH_STYLES = new Set(['grate', 'fence', 'glass']);
+
+/**
+ * Create a drawing surface that works on the main thread and in workers
+ */
+export function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+export class Texture {
+  constructor(source, options = {}) {
+    this.source = source;
+    this.width = source.width || TEXTURE_SIZE;
+    this.height = source.height || TEXTURE_SIZE;
+    this.color = options.color || [128, 128, 128];
+    this.name = options.name || 'texture';
+    this.pixels = null;
+    this.pixels32 = null;
+  }
+
+  /**
+   * Get RGBA pixel data (lazily read back from the source)
+   */
+  getPixels() {
+    if (!this.pixels) {
+      const canvas = createCanvas(this.width, this.height);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(this.source, 0, 0);
+      this.pixels = ctx.getImageData(0, 0, this.width, this.height).data;
+    }
+    return this.pixels;
+  }
+
+  /**
+   * Get pixel data as packed 32-bit values (one entry per texel)
+   */
+  getPixels32() {
+    if (!this.pixels32) {
+      const pixels = this.getPixels();
+      this.pixels32 = new Uint32Array(pixels.buffer, pixels.byteOffset, this.width * this.height);
+    }
+    return this.pixels32;
+  }
+
+  /**
+   * Get the source column for a texture-space coordinate (0-1)
+   */
+  getColumn(u) {
+    const column = Math.floor(u * this.width);
+    return Math.min(this.width - 1, Math.max(0, column));
+  }
+}
+
+/**
+ * Generate a procedural texture
+ *
+ * Styles: 'brick', 'stone', 'metal', 'wood', 'tech', 'tiles', 'panels', 'door' and 'flat'.
+ * 'grate', 'fence' and 'glass' are see-through: fully transparent apart
+ * from their bars, wires or frame, so they can be alpha-masked.
+ */
+export function generateTexture(style, color = [128, 128, 128], size = TEXTURE_SIZE) {
+  const canvas = createCanvas(size, size);
+  const ctx = canvas.getContext('2d');
+  const [r, g, b] = color;
+  const tone = (factor) => `rgb(${Math.min(255, Math.floor(r * factor))}, ${Math.min(255, Math.floor(g * factor))}, ${Math.min(255, Math.floor(b * factor))})`;
+
+  const unit = size / 8;
+
+  if (SEE_THROUGH_STYLES.has(style)) {
+    drawSeeThrough(ctx, style, tone, size, unit);
+    return new Texture(canvas, { color, name: style });
+  }
+
+  ctx.fillStyle = tone(1);
+  ctx.fillRect(0, 0, size, size);
+
+  switch (style) {
+    case 'brick':
+      ctx.fillStyle = tone(0.45);
+      for (let row = 0; row < 8; row++) {
+        ctx.fillRect(0, row * unit, size, 1);
+        const offset = row % 2 === 0 ? 0 : unit * 2;
+        for (let x = offset; x < size; x += unit * 4) {
+          ctx.fillRect(x, row * unit, 1, unit);
+        }
+      }
+      break;
+    case 'stone':
+      for (let i = 0; i < 12; i++) {
+        ctx.fillStyle = tone(0.75 + ((i * 37) % 10) / 20);
+        const x = (i * 23) % size;
+        const y = (i * 41) % size;
+        ctx.fillRect(x, y, unit * 3, unit * 2);
+      }
+      ctx.fillStyle = tone(0.4);
+      for (let i = 0; i < 4; i++) {
+        ctx.fillRect(0, i * unit * 2 + unit, size, 1);
+        ctx.fillRect(i * unit * 2 + (i % 2) * unit, 0, 1, size);
+      }
+      break;
+    case 'metal':
+      ctx.fillStyle = tone(0.7);
+      ctx.fillRect(0, 0, size, 2);
+      ctx.fillRect(0, size - 2, size, 2);
+      ctx.fillRect(0, 0, 2, size);
+      ctx.fillRect(size - 2, 0, 2, size);
+      ctx.fillStyle = tone(1.3);
+      for (const [x, y] of [[unit, unit], [size - unit, unit], [unit, size - unit], [size - unit, size - unit]]) {
+        ctx.fillRect(x - 1, y - 1, 3, 3);
+      }
+      ctx.fillStyle = tone(0.85);
+      ctx.fillRect(unit * 2, unit * 3, size - unit * 4, unit * 2);
+      break;
+    case 'wood':
+      for (let x = 0; x < size; x += unit * 2) {
+        ctx.fillStyle = tone(0.55);
+        ctx.fillRect(x, 0, 1, size);
+        ctx.fillStyle = tone(0.85);
+        ctx.fillRect(x + unit, 0, 1, size);
+      }
+      break;
+    case 'tech':
+      ctx.fillStyle = tone(0.5);
+      ctx.fillRect(unit, unit, size - unit * 2, size - unit * 2);
+      ctx.fillStyle = tone(1.2);
+      for (let y = unit * 2; y < size - unit * 2; y += unit) {
+        ctx.fillRect(unit * 2, y, size - unit * 4, 2);
+      }
+      ctx.fillStyle = 'rgb(0, 255, 128)';
+      ctx.fillRect(size / 2 - 2, size - unit * 1.5, 4, 3);
+      break;
+    case 'tiles':
+      for (let y = 0; y < size; y += unit * 2) {
+        for (let x = 0; x < size; x += unit * 2) {
+          ctx.fillStyle = tone((x + y) % (unit * 4) === 0 ? 1 : 0.8);
+          ctx.fillRect(x, y, unit * 2, unit * 2);
+        }
+      }
+      ctx.fillStyle = tone(0.5);
+      for (let i = 0; i < size; i += unit * 2) {
+        ctx.fillRect(i, 0, 1, size);
+        ctx.fillRect(0, i, size, 1);
+      }
+      break;
+    case 'panels':
+      ctx.fillStyle = tone(0.6);
+      ctx.fillRect(0, 0, size, 2);
+      ctx.fillRect(0, 0, 2, size);
+      ctx.fillStyle = tone(1.6);
+      ctx.fillRect(size / 2 - unit, size / 2 - unit, unit * 2, unit * 2);
+      break;
+    case 'door':
+      ctx.fillStyle = tone(0.6);
+      for (let y = unit; y < size; y += unit * 2) {
+        ctx.fillRect(unit, y, size - unit * 2, 2);
+      }
+      ctx.fillStyle = tone(0.4);
+      ctx.fillRect(0, 0, 3, size);
+      ctx.fillRect(size - 3, 0, 3, size);
+      ctx.fillStyle = tone(1.4);
+      ctx.fillRect(size - unit * 2, size / 2 - 2, unit / 2, 4);
+      break;
+    default:
+      // 'flat' - plain colour with a thin outline
+      ctx.fillStyle = tone(0.7);
+      ctx.fillRect(0, 0, size, 1);
+      ctx.fillRect(0, 0, 1, size);
+      break;
+  }
+
+  return new Texture(canvas, { color, name: style });
+}
+
+// Bars, wires or frame of a see-through texture, whole pixels only so
+// there is no partial alpha
+function drawSeeThrough(ctx, style, tone, size, unit) {
+  switch (style) {
+    case 'grate':
+      ctx.fillStyle = tone(1);
+      for (let x = unit / 2; x < size; x += unit) {
+        ctx.fillRect(x - 2, 0, 4, size);
+      }
+      ctx.fillRect(0, 0, size, 4);
+      ctx.fillRect(0, size / 2 - 2, size, 4);
+      ctx.fillRect(0, size - 4, size, 4);
+      ctx.fillStyle = tone(0.6);
+      for (let x = unit / 2; x < size; x += unit) {
+        ctx.fillRect(x + 1, 0, 1, size);
+      }
+      break;
+    case 'fence':
+      // Chain-link diamonds between a top rail and two posts
+      ctx.fillStyle = tone(1);
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          if ((x + y) % unit === 0 || (x - y + size) % unit === 0) {
+            ctx.fillRect(x, y, 1, 1);
+          }
+        }
+      }
+      ctx.fillStyle = tone(0.6);
+      ctx.fillRect(0, 0, size, 3);
+      ctx.fillRect(0, 0, 3, size);
+      ctx.fillRect(size - 3, 0, 3, size);
+      break;
+    default:
+      // 'glass' - a frame and a few glints
+      ctx.fillStyle = tone(0.5);
+      ctx.fillRect(0, 0, size, 3);
+      ctx.fillRect(0, size - 3, size, 3);
+      ctx.fillRect(0, 0, 3, size);
+      ctx.fillRect(size - 3, 0, 3, size);
+      ctx.fillStyle = tone(1.3);
+      for (const [startX, length] of [[unit * 2, unit * 2], [unit * 3, unit * 3], [unit * 5, unit]]) {
+        for (let i = 0; i < length; i++) {
+          ctx.fillRect(startX + i, unit * 2 + length - i, 1, 1);
+        }
+      }
+      break;
+  }
+}
@@ -6,9 +6,19 @@
  */
 
 import { Scene } from '../core/SceneManager.js';
+import { generateTexture } from '../core/Texture.js';
 import { Player } from '../Player.js';
 import { Enemy } from '../Enemy.js';
+import { ENEMY_TYPES, DEFAULT_ENEMY_TYPE } from '../EnemyTypes.js';
 import { LevelManager } from '../Level.js';
+import { DoorManager } from '../Doors.js';
+import { BLOCKS } from '../Tiles.js';
+import { HeightMap } from '../Heights.js';
+import { Automap } from '../Automap.js';
+import { WeaponManager, WEAPONS, WEAPON_ORDER, AMMO_TYPES, drawWeaponSprite } from '../Weapons.js';
+import { Pickup, PICKUP_TYPES } from '../Pickups.js';
+import { ProjectileManager, PROJECTILE_TYPES } from '../Projectile.js';
+import { SignalManager, Signals } from '../ecs/Signals.js';
 import { GAME_CONSTANTS } from '../Constants.js';
 
 export class DoomDemoScene extends Scene {
@@ -17,12 +27,18 @@ export class DoomDemoScene extends Scene {
     this.levelManager = new LevelManager();
     this.player = null;
     this.enemies = [];
+    this.corpses = []; // Dead enemies, left lying until the level changes
+    this.pickups = [];
+    this.projectiles = new ProjectileManager(engine.physics); // Rockets and enemy shots in flight
+    this.signals = new SignalManager(); // Noises and enemy alerts
     this.currentLevel = 1;
     this.gameState = 'playing'; // 'playing', 'levelComplete', 'gameOver'
     this.score = 0;
     this.gameStats = {
       health: GAME_CONSTANTS.PLAYER_START_HEALTH,
+      armor: 0,
       ammo: GAME_CONSTANTS.PLAYER_START_AMMO,
+      weapon: WEAPONS.pistol.name,
       level: 1,
       enemies: 0,
       score: 0
@@ -31,7 +47,21 @@ export class DoomDemoScene extends Scene {
     // Initialize map data (will be set by loadLevel)
     this.map = [];
     this.joystickMovement = { x: 0, y: 0, magnitude: 0 };
-    this.shootCooldown = 0;
+    this.useCooldown = 0;
+    this.weaponSwitchCooldown = 0;
+    this.weapons = null;
+    this.doors = null;
+    this.heights = null; // Floor and wall heights (flat unless the level sets them)
+    this.automap = null; // Cells the player has seen, for the automap and minimap
+    this.showAutomap = false;
+    this.automapHeld = false; // Automap key down last frame, so a press toggles once
+    this.triggers = [];
+    this.triggerCell = null; // Cell of the last trigger fired, so it fires once per visit
+
+    // Short HUD message (e.g. "You need the red key")
+    this.hudMessage = null;
+    this.hudMessageTimer = 0;
+    this.pickupFlashTimer = 0; // Screen tint after collecting a pickup
 
     // Performance optimizations
     this.enemyUpdateCounter = 0;
@@ -53,11 +83,22 @@ export class DoomDemoScene extends Scene {
   async onEnter(transitionData = {}) {
     console.log('🎮 Starting Doom Demo...');
 
-    // Create player first
-    this.player = new Player(8.5, 5.5);
+    // Create player first (loadLevel moves it to the level's start)
+    this.player = new Player(0, 0);
     this.addEntity(this.player);
+    this.weapons = new WeaponManager(this.player);
 
-    console.log('DoomDemo: Player created at', this.player.x, this.player.y);
+    if (transitionData.level) {
+      // Play a single level handed over by the level editor
+      this.levelManager = new LevelManager({ levels: [transitionData.level], endless: false });
+    } else {
+      if (transitionData.seed !== undefined) {
+        this.levelManager.setSeed(transitionData.seed);
+      }
+
+      // Add levels shipped as JSON files after the built-in ones
+      await this.loadLevelPack();
+    }
 
     // Initialize physics world
     this.loadLevel(this.currentLevel);
@@ -104,6 +145,7 @@ export class DoomDemoScene extends Scene {
       this.enemyUpdateCounter = 0;
       this.updateEnemies(deltaTime * this.enemyUpdateFrequency);
     }
+    this.updateProjectiles(deltaTime);
 
     // Check win/lose conditions
     this.checkGameConditions();
@@ -122,6 +164,11 @@ export class DoomDemoScene extends Scene {
   onRender(renderer) {
     // The renderer handles the main 3D scene rendering
     // We just need to render HUD and overlays on top
+    if (this.showAutomap) {
+      this.renderAutomap(renderer);
+    } else {
+      this.renderWeapon(renderer);
+    }
     this.renderHUD(renderer);
     this.renderGameStateOverlays(renderer);
     console.log('DoomDemo: onRender called', {
@@ -153,10 +200,29 @@ export class DoomDemoScene extends Scene {
     this.engine.input.keyMappings.set('turn_left', ['KeyA', 'ArrowLeft']);
     this.engine.input.keyMappings.set('turn_right', ['KeyD', 'ArrowRight']);
     this.engine.input.keyMappings.set('strafe', ['ShiftLeft']);
+    this.engine.input.keyMappings.set('jump', ['KeyJ']); // Space shoots
+    this.engine.input.keyMappings.set('crouch', ['KeyC']);
+    this.engine.input.keyMappings.set('look_up', ['KeyR', 'PageUp']);
+    this.engine.input.keyMappings.set('look_down', ['KeyF', 'PageDown']);
 
     // Actions
     this.engine.input.keyMappings.set('shoot', ['Space']);
     this.engine.input.keyMappings.set('use', ['KeyE']);
+    this.engine.input.keyMappings.set('automap', ['KeyM']);
+
+    // Weapons: number keys pick a slot, Q / brackets / wheel cycle
+    WEAPON_ORDER.forEach((id, index) => {
+      this.engine.input.keyMappings.set(`weapon_${index + 1}`, [`Digit${index + 1}`]);
+    });
+    this.engine.input.keyMappings.set('weapon_next', ['KeyQ', 'BracketRight']);
+    this.engine.input.keyMappings.set('weapon_prev', ['BracketLeft']);
+
+    this.handleWeaponScroll = (event) => {
+      const direction = event.direction ?? Math.sign(event.deltaY);
+      if (direction) this.cycleWeapon(direction);
+    };
+    this.engine.input.addEventListener('scroll', this.handleWeaponScroll);
+    this.engine.input.addEventListener('mousewheel', this.handleWeaponScroll);
 
     console.log('DoomDemo: Input mappings set up');
   }
@@ -177,50 +243,192 @@ export class DoomDemoScene extends Scene {
       enemySpawns: levelData.enemySpawns.length
     });
 
-    // Store map data for renderer
-    this.map = levelData.map;
+    // Store map data for renderer (copied, since doors and pushwalls change it)
+    this.map = levelData.map.map(row => row.slice());
+    this.doors = new DoorManager(this.map);
+    this.heights = new HeightMap(this.map, levelData.floorHeight, levelData.wallHeight);
+    this.automap = new Automap(this.map);
+    this.floorMap = levelData.floor || null;
+    this.ceilingMap = levelData.ceiling || null;
+    this.floorTexture = levelData.floorTexture || 0;
+    this.ceilingTexture = levelData.ceilingTexture || 0;
+    this.triggers = levelData.triggers || [];
+    this.triggerCell = null;
+    this.loadLevelTextures(levelData);
 
     // Set physics world
     this.engine.physics.setWorld({
-      map: levelData.map,
-      width: levelData.map[0].length,
-      height: levelData.map.length
+      map: this.map,
+      width: this.map[0].length,
+      height: this.map.length,
+      doors: this.doors,
+      heights: this.heights
     });
 
-    // Check if player position is valid
-    const playerX = Math.floor(this.player.x);
-    const playerY = Math.floor(this.player.y);
-    const isValidPosition = this.engine.physics.isValidPosition(this.player.x, this.player.y);
+    // Light levels, light effects and fog
+    this.engine.lighting.setLevel(levelData);
 
-    console.log('DoomDemo: Player position check', {
-      playerPos: `${this.player.x}, ${this.player.y}`,
-      mapPos: `${playerX}, ${playerY}`,
-      mapValue: this.map[playerY] ? this.map[playerY][playerX] : 'undefined',
-      isValid: isValidPosition
-    });
+    // Move the player to the level's start
+    const isValidPosition = this.placePlayer(levelData.playerStart);
+    this.player.keys.clear(); // Keycards only open doors on their own level
 
-    // Clear existing enemies
+    // Clear existing enemies and corpses
     this.enemies.forEach(enemy => this.removeEntity(enemy));
     this.enemies = [];
+    this.corpses.forEach(corpse => this.removeEntity(corpse));
+    this.corpses = [];
+    this.projectiles.clear();
 
-    // Spawn enemies
+    // Spawn enemies (spawns pick an archetype from EnemyTypes.js with `type`)
     levelData.enemySpawns.forEach(spawn => {
-      const enemy = new Enemy(spawn.x, spawn.y, this);
+      const type = spawn.type || DEFAULT_ENEMY_TYPE;
+      if (!ENEMY_TYPES[type]) {
+        console.warn(`DoomDemo: Skipping unknown enemy type "${type}"`);
+        return;
+      }
+      const enemy = new Enemy(spawn.x, spawn.y, this, type, { patrol: spawn.patrol });
       this.enemies.push(enemy);
       this.addEntity(enemy);
     });
 
+    // Spawn pickups (the physics world was just reset, so register them again)
+    this.pickups.forEach(pickup => this.removeEntity(pickup));
+    this.pickups = [];
+    (levelData.pickups || []).forEach(({ x, y, type, ...options }) => {
+      if (!PICKUP_TYPES[type]) {
+        console.warn(`DoomDemo: Skipping unknown pickup type "${type}"`);
+        return;
+      }
+      this.addPickup(new Pickup(x, y, type, options));
+    });
+
     this.gameStats.enemies = this.enemies.length;
     this.gameStats.level = levelIndex;
 
     console.log(`📍 Loaded level: ${levelData.name}`, {
       mapSize: `${levelData.map[0].length}x${levelData.map.length}`,
       enemies: this.enemies.length,
+      pickups: this.pickups.length,
       playerPos: `${this.player.x}, ${this.player.y}`,
       playerValid: isValidPosition
     });
   }
 
+  /**
+   * Put the player at a level start position and facing
+   *
+   * Falls back to the nearest valid position when the start is inside a
+   * wall. Returns whether the final position is valid.
+   */
+  placePlayer(start = {}) {
+    const { x = 1.5, y = 1.5, angle = 0 } = start;
+    const physics = this.engine.physics;
+    const position = physics.findNearestValidPosition(x, y, 2.0);
+    const isValid = physics.isValidPosition(position.x, position.y);
+
+    if (position.x !== x || position.y !== y) {
+      console.warn(`DoomDemo: Player start (${x}, ${y}) is blocked, using (${position.x.toFixed(2)}, ${position.y.toFixed(2)})`);
+    } else if (!isValid) {
+      console.error(`DoomDemo: No valid position near player start (${x}, ${y})`);
+    }
+
+    this.player.x = position.x;
+    this.player.y = position.y;
+    this.player.angle = angle;
+    this.player.resetView(physics.getFloorHeight(position.x, position.y));
+    return isValid;
+  }
+
+  /**
+   * Add a pickup to the scene and the physics 'pickups' layer
+   */
+  addPickup(pickup) {
+    this.pickups.push(pickup);
+    this.addEntity(pickup);
+    this.engine.physics.addToLayer('pickups', pickup);
+  }
+
+  removePickup(pickup) {
+    this.pickups = this.pickups.filter(p => p !== pickup);
+    this.removeEntity(pickup);
+    this.engine.physics.removeFromLayer('pickups', pickup);
+  }
+
+  /**
+   * Drop a pickup where an enemy died (dropped pickups never respawn)
+   */
+  dropPickup(x, y, type, options = {}) {
+    this.addPickup(new Pickup(x, y, type, { ...options, dropped: true }));
+  }
+
+  /**
+   * Collect the pickups the player is touching
+   */
+  collectPickups() {
+    const touching = this.engine.physics.queryRadius('pickups', this.player.x, this.player.y, GAME_CONSTANTS.PLAYER_RADIUS);
+
+    for (const pickup of touching) {
+      const message = pickup.apply(this.player);
+      if (!message) continue; // Not needed, leave it for later
+
+      if (!pickup.collect()) {
+        this.removePickup(pickup);
+      }
+      this.showMessage(message);
+      this.pickupFlashTimer = GAME_CONSTANTS.PICKUP_FLASH_TIME;
+      this.engine.audio.playProceduralSound(pickup.definition.key ? 660 : 880, 0.08, 'triangle', 0.2);
+    }
+  }
+
+  /**
+   * Load the JSON level pack, if the game ships one
+   */
+  async loadLevelPack() {
+    try {
+      const levels = await this.levelManager.loadLevelPack(GAME_CONSTANTS.LEVEL_PACK_URL, this.engine.assetManager);
+      console.log(`DoomDemo: ${levels.length} level(s) loaded from ${GAME_CONSTANTS.LEVEL_PACK_URL}`);
+    } catch (error) {
+      console.warn('DoomDemo: No JSON levels loaded', error.message);
+    }
+  }
+
+  /**
+   * Load wall textures for the level (defaults plus level overrides)
+   *
+   * Generated textures stand in when loading fails, and textures that arrive
+   * after another level has been loaded are dropped.
+   */
+  async loadLevelTextures(levelData) {
+    const map = this.map; // the level these textures are for
+    const textures = await this.engine.assetManager.loadWallTextures(this.getTextureDefinitions(levelData))
+      .catch(error => {
+        console.error('DoomDemo: Failed to load wall textures, using generated ones', error);
+        return this.generateLevelTextures(levelData);
+      });
+
+    if (this.map === map) {
+      this.engine.renderer.setWallTextures(textures);
+    }
+  }
+
+  /**
+   * Wall texture definitions for the level (defaults plus level overrides)
+   */
+  getTextureDefinitions(levelData) {
+    return { ...GAME_CONSTANTS.WALL_TEXTURES, ...(levelData.textures || {}) };
+  }
+
+  /**
+   * Generate the level's wall textures from their style and color alone
+   */
+  generateLevelTextures(levelData) {
+    const textures = new Map();
+    for (const [id, definition] of Object.entries(this.getTextureDefinitions(levelData))) {
+      textures.set(Number(id), generateTexture(definition.style, definition.color));
+    }
+    return textures;
+  }
+
   /**
    * Update enemies with performance optimizations
    */
@@ -239,16 +447,47 @@ export class DoomDemoScene extends Scene {
       if (distance > 25) continue; // Skip enemies more than 25 units away
 
       enemy.update(deltaTime);
+    }
+
+    this.gameStats.enemies = this.enemies.length;
+  }
 
-      // Remove dead enemies
-      if (enemy.health <= 0) {
-        this.enemies.splice(i, 1);
-        this.score += GAME_CONSTANTS.SCORE_PER_ENEMY;
-        this.player.ammo = Math.min(this.player.ammo + GAME_CONSTANTS.AMMO_DROP, GAME_CONSTANTS.MAX_AMMO);
+  /**
+   * Launch a projectile (see ProjectileManager.spawn), by default at
+   * PROJECTILE_HEIGHT above the shooter's floor
+   */
+  spawnProjectile(x, y, angle, type, options = {}) {
+    const shooter = options.source || { x, y };
+    const z = this.engine.physics.getFloorHeight(shooter.x, shooter.y) + GAME_CONSTANTS.PROJECTILE_HEIGHT;
+    return this.projectiles.spawn(x, y, angle, type, { z, ...options });
+  }
+
+  /**
+   * Move projectiles and apply their direct and splash damage
+   */
+  updateProjectiles(deltaTime) {
+    if (!this.player) return;
+
+    const impacts = this.projectiles.update(deltaTime, { player: [this.player], enemies: this.enemies });
+    for (const impact of impacts) {
+      if (PROJECTILE_TYPES[impact.type].splash) {
+        this.engine.particles.createExplosion(impact.x, impact.y);
+        this.engine.audio.playProceduralSound(60, 0.4, 'sawtooth', 0.35);
+      }
+
+      for (const { target, damage } of impact.hits) {
+        target.takeDamage(damage);
+        if (target === this.player) {
+          this.engine.audio.playProceduralSound(150, 0.1, 'sawtooth', 0.25);
+        } else {
+          this.engine.particles.createBloodSplatter(target.x, target.y);
+        }
       }
     }
 
-    this.gameStats.enemies = this.enemies.length;
+    if (impacts.length > 0 && !this.player.isAlive()) {
+      this.gameState = 'gameOver';
+    }
   }
 
   /**
@@ -260,23 +499,47 @@ export class DoomDemoScene extends Scene {
     }
 
     // Update cooldowns
-    if (this.shootCooldown > 0) {
-      this.shootCooldown -= deltaTime;
+    if (this.useCooldown > 0) {
+      this.useCooldown -= deltaTime;
+    }
+    if (this.weaponSwitchCooldown > 0) {
+      this.weaponSwitchCooldown -= deltaTime;
+    }
+    if (this.hudMessageTimer > 0) {
+      this.hudMessageTimer -= deltaTime;
+    }
+    if (this.pickupFlashTimer > 0) {
+      this.pickupFlashTimer -= deltaTime;
+    }
+    this.weapons.update(deltaTime);
+
+    // Animate doors and pushwalls
+    if (this.doors) {
+      this.doors.update(deltaTime, (x, y) => this.isCellOccupied(x, y));
     }
 
     // Handle player movement
     this.handlePlayerMovement(deltaTime);
+    this.handlePlayerView(deltaTime);
+    this.automap.reveal(this.map, this.player.x, this.player.y, this.player.angle, this.fov, this.maxDepth, this.engine.physics.getRayResolver(BLOCKS.SIGHT));
+    this.collectPickups();
+    this.checkTriggers();
 
-    // Handle actions
-    const shootActive = this.engine.input.isActionActive('shoot');
-
-    if (shootActive && this.shootCooldown <= 0) {
+    // Handle actions (the weapon enforces its own fire rate)
+    if (this.engine.input.isActionActive('shoot')) {
       this.handleShoot();
-      this.shootCooldown = 200; // 200ms cooldown between shots
     }
-    if (this.engine.input.isActionActive('use')) {
-      // Placeholder for use action (e.g., open door, interact)
+    this.handleWeaponSwitching();
+    if (this.engine.input.isActionActive('use') && this.useCooldown <= 0) {
+      this.handleUse();
+      this.useCooldown = GAME_CONSTANTS.USE_COOLDOWN;
+    }
+    const automapPressed = this.engine.input.isActionActive('automap');
+    if (automapPressed && !this.automapHeld) {
+      this.showAutomap = !this.showAutomap;
     }
+    this.automapHeld = automapPressed;
+    this.updatePlayerStats();
 
     // Check win/lose conditions
     this.checkGameConditions();
@@ -288,8 +551,10 @@ export class DoomDemoScene extends Scene {
   handlePlayerMovement(deltaTime) {
     if (!this.player) return;
 
-    const moveSpeed = GAME_CONSTANTS.MOVE_SPEED;
+    const moveSpeed = GAME_CONSTANTS.MOVE_SPEED * (1 - (1 - GAME_CONSTANTS.CROUCH_SPEED_FACTOR) * this.player.crouch);
     const turnSpeed = GAME_CONSTANTS.TURN_SPEED;
+    const radius = GAME_CONSTANTS.PLAYER_RADIUS;
+    const reach = this.player.getReach(); // Floors higher than this block
     const dt = deltaTime / 16.67;
 
     // Use joystick movement if available and significant
@@ -308,12 +573,12 @@ export class DoomDemoScene extends Scene {
       if (Math.abs(forwardAmount) > 0.01) {
         const newX = this.player.x + Math.cos(this.player.angle) * forwardAmount;
         const newY = this.player.y + Math.sin(this.player.angle) * forwardAmount;
-        if (this.engine.physics.isValidPosition(newX, newY)) {
+        if (this.engine.physics.isValidPosition(newX, newY, radius, reach)) {
           this.player.x = newX;
           this.player.y = newY;
         } else {
           // Try to find a nearby valid position to prevent getting stuck
-          const validPos = this.engine.physics.findNearestValidPosition(newX, newY, 0.5);
+          const validPos = this.engine.physics.findNearestValidPosition(newX, newY, 0.5, 0.1, reach);
           if (validPos.x !== newX || validPos.y !== newY) {
             this.player.x = validPos.x;
             this.player.y = validPos.y;
@@ -326,11 +591,11 @@ export class DoomDemoScene extends Scene {
       if (this.engine.input.isActionActive('move_forward')) {
         const newX = this.player.x + Math.cos(this.player.angle) * moveSpeed * dt;
         const newY = this.player.y + Math.sin(this.player.angle) * moveSpeed * dt;
-        if (this.engine.physics.isValidPosition(newX, newY)) {
+        if (this.engine.physics.isValidPosition(newX, newY, radius, reach)) {
           this.player.x = newX;
           this.player.y = newY;
         } else {
-          const validPos = this.engine.physics.findNearestValidPosition(newX, newY, 0.3);
+          const validPos = this.engine.physics.findNearestValidPosition(newX, newY, 0.3, 0.1, reach);
           if (validPos.x !== newX || validPos.y !== newY) {
             this.player.x = validPos.x;
             this.player.y = validPos.y;
@@ -341,11 +606,11 @@ export class DoomDemoScene extends Scene {
       if (this.engine.input.isActionActive('move_backward')) {
         const newX = this.player.x - Math.cos(this.player.angle) * moveSpeed * dt;
         const newY = this.player.y - Math.sin(this.player.angle) * moveSpeed * dt;
-        if (this.engine.physics.isValidPosition(newX, newY)) {
+        if (this.engine.physics.isValidPosition(newX, newY, radius, reach)) {
           this.player.x = newX;
           this.player.y = newY;
         } else {
-          const validPos = this.engine.physics.findNearestValidPosition(newX, newY, 0.3);
+          const validPos = this.engine.physics.findNearestValidPosition(newX, newY, 0.3, 0.1, reach);
           if (validPos.x !== newX || validPos.y !== newY) {
             this.player.x = validPos.x;
             this.player.y = validPos.y;
@@ -358,11 +623,11 @@ export class DoomDemoScene extends Scene {
         const strafeAngle = this.player.angle + Math.PI / 2;
         const newX = this.player.x + Math.cos(strafeAngle) * moveSpeed * dt;
         const newY = this.player.y + Math.sin(strafeAngle) * moveSpeed * dt;
-        if (this.engine.physics.isValidPosition(newX, newY)) {
+        if (this.engine.physics.isValidPosition(newX, newY, radius, reach)) {
           this.player.x = newX;
           this.player.y = newY;
         } else {
-          const validPos = this.engine.physics.findNearestValidPosition(newX, newY, 0.3);
+          const validPos = this.engine.physics.findNearestValidPosition(newX, newY, 0.3, 0.1, reach);
           if (validPos.x !== newX || validPos.y !== newY) {
             this.player.x = validPos.x;
             this.player.y = validPos.y;
@@ -382,69 +647,232 @@ export class DoomDemoScene extends Scene {
   }
 
   /**
-   * Handle shooting
+   * Handle looking up and down, jumping and crouching
    */
-  handleShoot() {
-    if (!this.player || this.player.ammo <= 0 || this.gameState !== 'playing') {
-      return;
+  handlePlayerView(deltaTime) {
+    const input = this.engine.input;
+
+    let look = 0;
+    if (input.isActionActive('look_up')) look += 1;
+    if (input.isActionActive('look_down')) look -= 1;
+    let pitch = look * GAME_CONSTANTS.PITCH_SPEED * deltaTime;
+
+    // Dragging with the right mouse button looks too (mouse up looks up)
+    if (input.isMouseButtonPressed(2)) {
+      pitch -= input.getAxis('look_y') * GAME_CONSTANTS.MOUSE_PITCH_SPEED;
+    }
+    this.player.look(pitch);
+
+    // Stepping up lands at once, stepping off a ledge falls
+    this.player.setFloorHeight(this.engine.physics.getFloorHeight(this.player.x, this.player.y));
+    if (input.isActionActive('jump')) {
+      this.player.jump();
     }
+    this.player.updateVertical(deltaTime, input.isActionActive('crouch'));
+  }
 
-    this.player.shoot();
+  /**
+   * Handle the use action (doors, locked doors and secret pushwalls)
+   */
+  handleUse() {
+    if (!this.player || !this.doors || this.gameState !== 'playing') {
+      return;
+    }
 
-    // Create muzzle flash particles
-    this.engine.particles.createMuzzleFlash(
-      this.player.x + Math.cos(this.player.angle) * 0.5,
-      this.player.y + Math.sin(this.player.angle) * 0.5,
-      this.player.angle
-    );
+    const result = this.doors.use(this.player.x, this.player.y, this.player.angle, this.player.keys);
+    if (!result) return;
+
+    if (result.type === 'locked') {
+      this.showMessage(`You need the ${result.key} key`);
+      this.engine.audio.playProceduralSound(150, 0.15, 'square', 0.2);
+    } else if (result.type === 'door') {
+      this.engine.audio.playProceduralSound(120, 0.3, 'sawtooth', 0.15);
+    } else if (result.type === 'pushwall') {
+      this.showMessage('A secret is revealed!');
+      this.engine.audio.playProceduralSound(80, 0.6, 'triangle', 0.2);
+    }
+  }
 
-    // Also trigger screen muzzle flash for immediate visual feedback
-    if (this.engine.renderer && this.engine.renderer.triggerMuzzleFlash) {
-      this.engine.renderer.triggerMuzzleFlash();
+  /**
+   * Fire level triggers when the player steps into their cell
+   */
+  checkTriggers() {
+    const cellX = Math.floor(this.player.x);
+    const cellY = Math.floor(this.player.y);
+    const cellKey = `${cellX},${cellY}`;
+
+    const trigger = this.triggers.find(t => Math.floor(t.x) === cellX && Math.floor(t.y) === cellY);
+    if (!trigger) {
+      this.triggerCell = null;
+      return;
+    }
+    if (this.triggerCell === cellKey) return;
+    this.triggerCell = cellKey;
+
+    switch (trigger.action) {
+      case 'exit':
+        this.nextLevel();
+        break;
+      case 'message':
+        this.showMessage(trigger.message);
+        break;
+      case 'teleport':
+        if (this.engine.physics.isValidPosition(trigger.target.x, trigger.target.y)) {
+          this.player.x = trigger.target.x;
+          this.player.y = trigger.target.y;
+          this.engine.audio.playProceduralSound(600, 0.4, 'sine', 0.2);
+        }
+        break;
     }
+  }
 
-    // Play shooting sound
-    this.engine.audio.playProceduralSound(800, 0.1, 'square', 0.3);
+  /**
+   * Check whether the player or an enemy overlaps a map cell
+   */
+  isCellOccupied(cellX, cellY) {
+    const overlaps = (actor, radius) =>
+      Math.abs(actor.x - (cellX + 0.5)) < 0.5 + radius &&
+      Math.abs(actor.y - (cellY + 0.5)) < 0.5 + radius;
 
-    // Find enemies in shooting range with line of sight
-    const visibleEnemies = [];
-    const playerX = this.player.x;
-    const playerY = this.player.y;
-    const playerAngle = this.player.angle;
+    if (this.player && overlaps(this.player, 0.3)) return true;
+    return this.enemies.some(enemy => overlaps(enemy, enemy.size / 2));
+  }
 
-    for (const enemy of this.enemies) {
-      const dx = enemy.x - playerX;
-      const dy = enemy.y - playerY;
-      const distance = Math.sqrt(dx * dx + dy * dy);
+  /**
+   * Show a short message on the HUD
+   */
+  showMessage(text, duration = 2000) {
+    this.hudMessage = text;
+    this.hudMessageTimer = duration;
+  }
+
+  /**
+   * Fire the current weapon
+   */
+  handleShoot() {
+    if (!this.player || this.gameState !== 'playing') {
+      return;
+    }
 
-      // Check distance first (fastest check)
-      if (distance > GAME_CONSTANTS.SHOOT_DISTANCE) continue;
+    const result = this.weapons.fire(this.enemies, this.engine.physics);
+    if (!result) return; // Still cycling
 
-      // Check shooting cone (30 degrees)
-      const angleToEnemy = Math.atan2(dy, dx);
-      const angleDiff = Math.abs(angleToEnemy - playerAngle);
-      const normalizedAngleDiff = Math.min(angleDiff, 2 * Math.PI - angleDiff);
-      if (normalizedAngleDiff > Math.PI / 6) continue;
+    if (result.empty) {
+      // Dry fire: click and fall back to a weapon that has ammo
+      this.engine.audio.playProceduralSound(1200, 0.03, 'square', 0.1);
+      this.showMessage(`Out of ${AMMO_TYPES[result.weapon.ammoType].name.toLowerCase()}`);
+      this.weapons.selectBest();
+      return;
+    }
 
-      // Check line of sight (most expensive check, do last)
-      if (this.engine.physics.hasLineOfSight(playerX, playerY, enemy.x, enemy.y)) {
-        visibleEnemies.push({ enemy, distance });
+    const weapon = result.weapon;
+    if (weapon.muzzleFlash) {
+      this.engine.particles.createMuzzleFlash(
+        this.player.x + Math.cos(this.player.angle) * 0.5,
+        this.player.y + Math.sin(this.player.angle) * 0.5,
+        this.player.angle
+      );
+
+      // Also trigger screen muzzle flash for immediate visual feedback
+      if (this.engine.renderer && this.engine.renderer.triggerMuzzleFlash) {
+        this.engine.renderer.triggerMuzzleFlash();
       }
     }
 
-    // Hit closest enemy
-    if (visibleEnemies.length > 0) {
-      visibleEnemies.sort((a, b) => a.distance - b.distance);
-      const closestEnemy = visibleEnemies[0].enemy;
+    const { frequency, duration, type, volume } = weapon.sound;
+    this.engine.audio.playProceduralSound(frequency, duration, type, volume);
+
+    // Enemies within earshot come to investigate
+    if (weapon.noise > 0) {
+      this.signals.emit(Signals.NOISE, { x: this.player.x, y: this.player.y, radius: weapon.noise });
+    }
+
+    if (weapon.projectile) {
+      const angle = this.player.angle + (Math.random() - 0.5) * weapon.spread;
+      this.spawnProjectile(
+        this.player.x + Math.cos(angle) * 0.4,
+        this.player.y + Math.sin(angle) * 0.4,
+        angle,
+        weapon.projectile,
+        { owner: 'player', source: this.player, damage: weapon.damage, range: weapon.range }
+      );
+    }
 
-      closestEnemy.takeDamage(GAME_CONSTANTS.SHOOT_DAMAGE);
+    for (const { target, damage } of result.hits) {
+      target.takeDamage(damage);
       // Create blood particles
-      this.engine.particles.createBloodSplatter(closestEnemy.x, closestEnemy.y);
+      this.engine.particles.createBloodSplatter(target.x, target.y);
+    }
+    if (result.hits.length > 0) {
       // Play hit sound
       this.engine.audio.playProceduralSound(200, 0.05, 'sawtooth', 0.2);
     }
+  }
 
-    this.gameStats.ammo = this.player.ammo;
+  /**
+   * Switch weapons from number keys and next/previous actions
+   */
+  handleWeaponSwitching() {
+    if (this.weaponSwitchCooldown > 0) return;
+
+    const input = this.engine.input;
+    let switched = false;
+
+    WEAPON_ORDER.forEach((id, index) => {
+      if (!switched && id !== this.weapons.currentId && input.isActionActive(`weapon_${index + 1}`)) {
+        if (!this.weapons.select(id)) {
+          this.showMessage(`No ammo for the ${WEAPONS[id].name.toLowerCase()}`);
+        }
+        switched = true;
+      }
+    });
+
+    if (!switched && input.isActionActive('weapon_next')) {
+      this.cycleWeapon(1);
+      switched = true;
+    } else if (!switched && input.isActionActive('weapon_prev')) {
+      this.cycleWeapon(-1);
+      switched = true;
+    }
+
+    if (switched) {
+      this.weaponSwitchCooldown = GAME_CONSTANTS.WEAPON_SWITCH_COOLDOWN;
+    }
+  }
+
+  /**
+   * Step to the next (1) or previous (-1) weapon with ammo
+   */
+  cycleWeapon(direction) {
+    if (!this.weapons || this.gameState !== 'playing') return;
+    if (this.weapons.cycle(direction)) {
+      this.engine.audio.playProceduralSound(400, 0.05, 'triangle', 0.15);
+    }
+  }
+
+  /**
+   * Copy player health, armor, weapon, ammo and score into the HUD stats
+   */
+  updatePlayerStats() {
+    const ammo = this.weapons.getCurrentAmmo();
+    this.gameStats.health = Math.ceil(this.player.health);
+    this.gameStats.armor = this.player.armor;
+    this.gameStats.ammo = ammo === null ? '--' : ammo;
+    this.gameStats.weapon = this.weapons.current.name;
+    this.gameStats.score = this.score;
+  }
+
+  /**
+   * Billboard sprites for the renderer (enemies, corpses, projectiles and pickups)
+   */
+  getBillboards() {
+    const billboards = this.enemies.map(enemy => enemy.getBillboard());
+    billboards.push(...this.corpses.map(corpse => corpse.getBillboard()));
+    billboards.push(...this.projectiles.getBillboards());
+    for (const pickup of this.pickups) {
+      if (pickup.active) billboards.push(pickup.getBillboard());
+    }
+    return billboards;
   }
 
   /**
@@ -469,7 +897,8 @@ export class DoomDemoScene extends Scene {
    * Progress to next level
    */
   nextLevel() {
-    if (this.currentLevel < this.levelManager.getTotalLevels()) {
+    // Endless mode keeps going with generated levels
+    if (this.currentLevel < this.levelManager.getTotalLevels() || this.levelManager.endless) {
       this.currentLevel++;
       this.gameState = 'levelComplete';
 
@@ -482,6 +911,33 @@ export class DoomDemoScene extends Scene {
     }
   }
 
+  /**
+   * Render the first-person weapon
+   */
+  renderWeapon(renderer) {
+    if (!this.weapons || this.gameState !== 'playing') return;
+    drawWeaponSprite(renderer.ctx, this.weapons.current, renderer.width, renderer.height, this.weapons.kick);
+  }
+
+  /**
+   * Render the automap below the HUD bar
+   */
+  renderAutomap(renderer) {
+    if (!this.automap || !this.player) return;
+    const { height } = this.getHUDLayout(renderer);
+    this.automap.renderAutomap(renderer.ctx, this, 0, height, renderer.width, renderer.height - height);
+  }
+
+  /**
+   * Font size, line height and bar height of the HUD
+   */
+  getHUDLayout(renderer) {
+    // Use viewport-based font size for better scaling
+    const fontSize = Math.max(14, Math.min(renderer.width, renderer.height) / 25);
+    const lineHeight = fontSize + 6;
+    return { fontSize, lineHeight, height: 25 + lineHeight * 5 + 15 };
+  }
+
   /**
    * Render HUD
    */
@@ -489,24 +945,19 @@ export class DoomDemoScene extends Scene {
     const ctx = renderer.ctx;
     ctx.save();
 
-    // Use viewport-based font size for better scaling
-    const fontSize = Math.max(14, Math.min(renderer.width, renderer.height) / 25);
+    const { fontSize, lineHeight, height: bgHeight } = this.getHUDLayout(renderer);
     ctx.font = `${fontSize}px monospace`;
-    const lineHeight = fontSize + 6;
     let y = 25;
 
-    // Calculate background height
-    const bgHeight = y + lineHeight * 5 + 15;
-
     // HUD background with better scaling
     ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
     ctx.fillRect(0, 0, renderer.width, bgHeight);
 
     // HUD text with better positioning
     ctx.fillStyle = '#fff';
-    ctx.fillText(`Health: ${this.gameStats.health}`, 15, y);
+    ctx.fillText(`Health: ${this.gameStats.health}  Armor: ${this.gameStats.armor}`, 15, y);
     y += lineHeight;
-    ctx.fillText(`Ammo: ${this.gameStats.ammo}`, 15, y);
+    ctx.fillText(`Ammo: ${this.gameStats.ammo} (${this.gameStats.weapon})`, 15, y);
     y += lineHeight;
     ctx.fillText(`Level: ${this.gameStats.level}`, 15, y);
     y += lineHeight;
@@ -514,6 +965,35 @@ export class DoomDemoScene extends Scene {
     y += lineHeight;
     ctx.fillText(`Score: ${this.gameStats.score}`, 15, y);
 
+    // Keycards as colored squares on the right of the HUD
+    const keySize = fontSize * 0.7;
+    let keyX = renderer.width - 15 - keySize;
+    for (const type of Object.values(PICKUP_TYPES)) {
+      if (!type.key || !this.player?.keys.has(type.key)) continue;
+      ctx.fillStyle = type.color;
+      ctx.fillRect(keyX, 25 - keySize, keySize, keySize);
+      keyX -= keySize + 4;
+    }
+
+    // Minimap in the corner below the HUD bar (the automap replaces it)
+    if (this.automap && this.player && !this.showAutomap && this.gameState === 'playing') {
+      const size = Math.floor(Math.min(renderer.width, renderer.height) * 0.3);
+      this.automap.renderMinimap(ctx, this, renderer.width - size - 10, bgHeight + 10, size);
+    }
+
+    // Bonus flash after a pickup
+    if (this.pickupFlashTimer > 0) {
+      ctx.fillStyle = `rgba(255, 230, 120, ${0.3 * this.pickupFlashTimer / GAME_CONSTANTS.PICKUP_FLASH_TIME})`;
+      ctx.fillRect(0, 0, renderer.width, renderer.height);
+    }
+
+    // Transient message
+    if (this.hudMessage && this.hudMessageTimer > 0) {
+      ctx.textAlign = 'center';
+      ctx.fillStyle = '#ff0';
+      ctx.fillText(this.hudMessage, renderer.width / 2, renderer.height - 20);
+    }
+
     ctx.restore();
   }
 
@@ -536,11 +1016,13 @@ export class DoomDemoScene extends Scene {
     } else if (this.gameState === 'gameOver') {
       ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
       ctx.fillRect(0, 0, renderer.width, renderer.height);
-      ctx.fillStyle = this.enemies.length === 0 ? '#0f0' : '#f00';
+      // Game over while alive means the last level was finished
+      const completed = this.player && this.player.health > 0;
+      ctx.fillStyle = completed ? '#0f0' : '#f00';
       const fontSize = Math.max(20, Math.min(renderer.width, renderer.height) / 20);
       ctx.font = `${fontSize}px monospace`;
       ctx.textAlign = 'center';
-      const message = this.enemies.length === 0 ? 'GAME COMPLETED!' : 'GAME OVER';
+      const message = completed ? 'GAME COMPLETED!' : 'GAME OVER';
       ctx.fillText(message, renderer.width / 2, renderer.height / 2);
     }
 
@@ -551,7 +1033,17 @@ export class DoomDemoScene extends Scene {
    * Cleanup resources
    */
   cleanup() {
+    if (this.handleWeaponScroll) {
+      this.engine.input.removeEventListener('scroll', this.handleWeaponScroll);
+      this.engine.input.removeEventListener('mousewheel', this.handleWeaponScroll);
+    }
+    this.pickups.forEach(pickup => this.engine.physics.removeFromLayer('pickups', pickup));
     this.enemies = [];
+    this.corpses = [];
+    this.pickups = [];
+    this.projectiles.clear();
+    this.signals.clear();
+    this.engine.lighting.clear();
     this.player = null;
     this.engine.input.cleanup();
   }
@@ -614,10 +1106,7 @@ export class DoomDemoScene extends Scene {
     } else if (phase === 3) {
       // Spin and shoot repeatedly
       this.joystickMovement = { x: 1.2, y: 0, magnitude: 1.2 };
-      if (this.shootCooldown <= 0) {
-        this.handleShoot();
-        this.shootCooldown = 200;
-      }
+      this.handleShoot();
     }
 
     if (this.autopilotTimer >= phases[phase]) {
@@ -341,6 +341,8 @@ export const Signals = {
   SCORE_CHANGED: 'score_changed',
   HEALTH_CHANGED: 'health_changed',
   AMMO_CHANGED: 'ammo_changed',
+  NOISE: 'noise', // { x, y, radius }, e.g. gunshots enemies can hear
+  ENEMY_ALERTED: 'enemy_alerted', // (enemy, { x, y }) where it spotted the player
 
   // Audio
   SOUND_STARTED: 'sound_started',
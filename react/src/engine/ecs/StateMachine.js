@@ -0,0 +1,105 @@
+/**
+ * State Machine
+ *
+ * Hierarchical finite state machine. States can name a `parent`; updates
+ * run from the outermost parent down to the current state, so shared
+ * transitions (e.g. "flee when hurt" for every combat state) live once on
+ * the parent.
+ *
+ * State definition (all hooks optional):
+ *   {
+ *     parent: 'name',
+ *     enter(owner, data, machine),
+ *     update(owner, deltaTime, machine) -> name of the next state or nothing,
+ *     exit(owner, machine)
+ *   }
+ */
+
+export class StateMachine {
+  constructor(owner, states) {
+    this.owner = owner;
+    this.states = states;
+    this.current = null;
+    this.previous = null;
+    this.stateTime = 0; // ms spent in the current state
+  }
+
+  /**
+   * Enter the first state
+   */
+  start(name, data = null) {
+    this.current = null;
+    this.transition(name, data);
+    return this;
+  }
+
+  /**
+   * Update the current state and its parents, following the first
+   * transition one of them asks for
+   */
+  update(deltaTime) {
+    if (!this.current) return;
+
+    this.stateTime += deltaTime;
+    for (const name of this.getPath(this.current)) {
+      const state = this.states[name];
+      const next = state.update ? state.update(this.owner, deltaTime, this) : null;
+      if (next && next !== this.current) {
+        this.transition(next);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Switch to a state, exiting and entering every level in between
+   *
+   * Transitioning to the current state re-enters it.
+   */
+  transition(name, data = null) {
+    if (!this.states[name]) {
+      throw new Error(`Unknown state: ${name}`);
+    }
+
+    const from = this.current ? this.getPath(this.current) : [];
+    const to = this.getPath(name);
+
+    // Levels shared by both paths stay active (except the target itself)
+    let shared = 0;
+    while (shared < from.length && shared < to.length - 1 && from[shared] === to[shared]) {
+      shared++;
+    }
+
+    for (let i = from.length - 1; i >= shared; i--) {
+      const state = this.states[from[i]];
+      if (state.exit) state.exit(this.owner, this);
+    }
+
+    this.previous = this.current;
+    this.current = name;
+    this.stateTime = 0;
+
+    for (let i = shared; i < to.length; i++) {
+      const state = this.states[to[i]];
+      if (state.enter) state.enter(this.owner, data, this);
+    }
+  }
+
+  /**
+   * Check whether a state, or one of its children, is active
+   */
+  isIn(name) {
+    return this.current !== null && this.getPath(this.current).includes(name);
+  }
+
+  /**
+   * State names from the outermost parent down to the given state
+   */
+  getPath(name) {
+    const path = [];
+    for (let state = name; state; state = this.states[state].parent) {
+      path.unshift(state);
+    }
+    return path;
+  }
+}